@@ -0,0 +1,21 @@
+// Keeps the created subscriptions, so tests can call their callbacks and check the performed actions.
+export const subscriptions = [];
+
+export function createConsumer(url) {
+  return {
+    url,
+    subscriptions: {
+      create(params, callbacks) {
+        const subscription = {
+          params,
+          callbacks,
+          performed: [],
+          perform: (action, data) =>
+            subscription.performed.push({ action, data }),
+        };
+        subscriptions.push(subscription);
+        return subscription;
+      },
+    },
+  };
+}
@@ -0,0 +1,8 @@
+// eslint-disable-next-line import/prefer-default-export
+export class SelfieSegmentation {
+  setOptions() {}
+
+  onResults() {}
+
+  async send() {}
+}
@@ -0,0 +1,3 @@
+// Targets, values and data are set on the controller by the tests.
+// eslint-disable-next-line import/prefer-default-export
+export class Controller {}
@@ -0,0 +1,2 @@
+// The tests pass their own provider to the controller.
+export default { isSupported: true };
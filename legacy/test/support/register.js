@@ -0,0 +1,6 @@
+// Lets Node import the modules without the bundler. The tests use the built-in test runner and are run from the legacy directory with:
+//
+//   node --experimental-default-type=module --import ./test/support/register.js --test test/videochat_controller_test.js test/videochat/
+import { register } from "node:module";
+
+register("./resolve.js", import.meta.url);
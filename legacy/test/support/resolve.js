@@ -0,0 +1,21 @@
+// Module resolution hook that resolves relative imports without extension to their .js file, like the bundler does. Packages of the app are resolved to the fakes in ./packages, which are just enough to load the controller.
+const PACKAGES = {
+  stimulus: "./packages/stimulus.js",
+  "twilio-video": "./packages/twilio_video.js",
+  "@rails/actioncable": "./packages/actioncable.js",
+  "@mediapipe/selfie_segmentation": "./packages/selfie_segmentation.js",
+};
+
+// eslint-disable-next-line import/prefer-default-export
+export async function resolve(specifier, context, nextResolve) {
+  if (PACKAGES[specifier]) {
+    return nextResolve(
+      new URL(PACKAGES[specifier], import.meta.url).href,
+      context
+    );
+  }
+  if (/^\.\.?\//.test(specifier) && !/\.[cm]?js$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,247 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import CallStore from "../../videochat/call_store";
+
+// The local participant "a" is connected to a room with the remote participants "b" to "e". "f" has not joined yet.
+function createStore(options = {}) {
+  const store = new CallStore({
+    localIdentity: "a",
+    participants: [
+      ...["a", "b", "c", "d", "e"].map((identity) => ({
+        identity,
+        state: "connected",
+      })),
+      { identity: "f", state: "accepted" },
+    ],
+    ...options,
+  });
+  store.connected();
+  return store;
+}
+
+function countNotifications(store) {
+  const notifications = [];
+  store.subscribe((state, previousState) =>
+    notifications.push({ state, previousState })
+  );
+  return notifications;
+}
+
+test("selects and deselects connected participants", () => {
+  const store = createStore();
+
+  store.selectParticipant("b");
+  store.selectParticipant("c");
+  store.selectParticipant("b");
+  store.selectParticipant("f");
+  store.selectParticipant("unknown");
+  assert.deepEqual(store.state.selectedIdentities, ["b", "c"]);
+
+  store.toggleParticipant("b");
+  assert.deepEqual(store.state.selectedIdentities, ["c"]);
+  store.toggleParticipant("b");
+  assert.deepEqual(store.state.selectedIdentities, ["c", "b"]);
+});
+
+test("only selects the local participant while not connected", () => {
+  const store = createStore();
+  store.resetCall();
+
+  store.selectParticipant("b");
+  store.selectParticipant("a");
+
+  assert.deepEqual(store.state.selectedIdentities, ["a"]);
+});
+
+test("unpins the main view when its participant is deselected", () => {
+  const store = createStore();
+  store.selectParticipant("b");
+  store.selectParticipant("c");
+
+  store.togglePreferred("b");
+  assert.equal(store.state.mainIdentity, "b");
+  assert.equal(store.state.mainPinned, true);
+
+  store.deselectParticipant("c");
+  assert.equal(store.state.mainIdentity, "b");
+
+  store.deselectParticipant("b");
+  assert.equal(store.state.mainIdentity, null);
+  assert.equal(store.state.mainPinned, false);
+});
+
+test("unpins the main view when it is toggled again", () => {
+  const store = createStore();
+  store.selectParticipant("b");
+
+  store.togglePreferred("b");
+  store.togglePreferred("b");
+
+  assert.equal(store.state.mainIdentity, null);
+  assert.equal(store.state.mainPinned, false);
+});
+
+test("cycles the main view through the selected participants", () => {
+  const store = createStore();
+  ["b", "c", "d"].forEach((identity) => store.selectParticipant(identity));
+
+  const mainViews = [];
+  for (let i = 0; i < 4; i += 1) {
+    store.cycleView();
+    mainViews.push([store.state.mainIdentity, store.state.mainPinned]);
+  }
+
+  assert.deepEqual(mainViews, [
+    ["b", true],
+    ["c", true],
+    ["d", true],
+    [null, false],
+  ]);
+});
+
+test("does not cycle the view with less than two selected participants", () => {
+  const store = createStore();
+  store.selectParticipant("b");
+
+  store.cycleView();
+
+  assert.equal(store.state.mainIdentity, null);
+  assert.equal(store.state.mainPinned, false);
+});
+
+test("pages the gallery without the main view", () => {
+  const store = createStore({ galleryPageSize: 2 });
+  ["a", "b", "c", "d", "e"].forEach((identity) =>
+    store.selectParticipant(identity)
+  );
+  store.togglePreferred("a");
+
+  assert.deepEqual(store.galleryIdentities(), ["b", "c", "d", "e"]);
+  assert.equal(store.galleryPageCount(), 2);
+  assert.deepEqual(store.visibleGalleryIdentities(), ["b", "c"]);
+  assert.equal(store.visibleTileCount(), 3);
+  assert.equal(store.isOnHiddenGalleryPage("d"), true);
+  assert.equal(store.getPriorityFor("d"), "low");
+
+  store.nextGalleryPage();
+  assert.deepEqual(store.visibleGalleryIdentities(), ["d", "e"]);
+
+  store.nextGalleryPage();
+  assert.equal(store.state.galleryPage, 1);
+
+  store.previousGalleryPage();
+  store.previousGalleryPage();
+  assert.equal(store.state.galleryPage, 0);
+});
+
+test("clamps the current gallery page after participants were deselected", () => {
+  const store = createStore({ galleryPageSize: 2 });
+  ["b", "c", "d", "e"].forEach((identity) => store.selectParticipant(identity));
+  store.nextGalleryPage();
+
+  store.deselectParticipant("d");
+  store.deselectParticipant("e");
+
+  assert.equal(store.state.galleryPage, 1);
+  assert.equal(store.currentGalleryPage(), 0);
+  assert.deepEqual(store.visibleGalleryIdentities(), ["b", "c"]);
+
+  store.previousGalleryPage();
+  assert.equal(store.state.galleryPage, 0);
+});
+
+test("clears a followed main view when its participant disconnects", () => {
+  const store = createStore({ followSpeaker: true });
+  store.setDominantSpeaker("b");
+  store.showDominantSpeaker();
+  assert.equal(store.state.mainIdentity, "b");
+  assert.equal(store.state.mainPinned, false);
+
+  store.participantDisconnected("b");
+
+  assert.equal(store.state.mainIdentity, null);
+  assert.equal(store.findParticipant("b").state, "disconnected");
+});
+
+test("lowers the hand of participants who disconnect", () => {
+  const store = createStore();
+  store.raiseHand("b");
+  store.raiseHand("c");
+
+  store.participantDisconnected("b");
+
+  assert.deepEqual(store.state.raisedHands, ["c"]);
+  assert.equal(store.isHandRaised("b"), false);
+});
+
+test("does not follow the speaker while the main view is pinned", () => {
+  const store = createStore({ followSpeaker: true });
+  store.selectParticipant("c");
+  store.togglePreferred("c");
+
+  store.setDominantSpeaker("b");
+  store.showDominantSpeaker();
+
+  assert.equal(store.state.mainIdentity, "c");
+});
+
+test("restores the selection and the pinned main view", () => {
+  const store = createStore();
+  const notifications = countNotifications(store);
+
+  store.restoreLayout({
+    selectedIdentities: ["b", "c", "f"],
+    mainIdentity: "c",
+    mainPinned: true,
+  });
+
+  assert.deepEqual(store.state.selectedIdentities, ["b", "c"]);
+  assert.equal(store.state.mainIdentity, "c");
+  assert.equal(store.state.mainPinned, true);
+  assert.equal(notifications.length, 1);
+});
+
+test("does not restore a main view that could not be selected", () => {
+  const store = createStore();
+
+  store.restoreLayout({
+    selectedIdentities: ["b", "f"],
+    mainIdentity: "f",
+    mainPinned: true,
+  });
+
+  assert.deepEqual(store.state.selectedIdentities, ["b"]);
+  assert.equal(store.state.mainIdentity, null);
+  assert.equal(store.state.mainPinned, false);
+});
+
+test("notifies once for all actions of a batch", () => {
+  const store = createStore();
+  const notifications = countNotifications(store);
+  const previousState = store.state;
+
+  store.batch(() => {
+    store.selectParticipant("b");
+    store.batch(() => {
+      store.selectParticipant("c");
+      store.togglePreferred("c");
+    });
+    assert.equal(notifications.length, 0);
+  });
+
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].previousState, previousState);
+  assert.deepEqual(notifications[0].state.selectedIdentities, ["b", "c"]);
+  assert.equal(notifications[0].state.mainIdentity, "c");
+});
+
+test("does not notify for updates that change nothing", () => {
+  const store = createStore();
+  const notifications = countNotifications(store);
+
+  store.deselectParticipant("b");
+  store.selectParticipant("f");
+  store.connected();
+
+  assert.equal(notifications.length, 0);
+});
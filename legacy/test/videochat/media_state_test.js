@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mediaStateTransition, {
+  applyToTracks,
+  isTrackEnabled,
+  mediaStateActions,
+} from "../../videochat/media_state";
+
+const STATES = [
+  { muted: false, paused: false },
+  { muted: true, paused: false },
+  { muted: false, paused: true },
+  { muted: true, paused: true },
+];
+
+const EXPECTED_CHANGES = {
+  mute: { muted: true },
+  unmute: { muted: false },
+  pause: { paused: true },
+  unpause: { paused: false },
+};
+
+class FakeTrack {
+  constructor(kind) {
+    this.kind = kind;
+    this.isEnabled = true;
+  }
+
+  enable() {
+    this.isEnabled = true;
+  }
+
+  disable() {
+    this.isEnabled = false;
+  }
+}
+
+function createTracks() {
+  return [new FakeTrack("audio"), new FakeTrack("video")];
+}
+
+function enabledKinds(tracks) {
+  return tracks.filter((track) => track.isEnabled).map((track) => track.kind);
+}
+
+Object.entries(EXPECTED_CHANGES).forEach(([action, changes]) => {
+  STATES.forEach((state) => {
+    test(`${action} from ${JSON.stringify(state)}`, () => {
+      const nextState = mediaStateTransition(state, action);
+
+      assert.deepEqual(nextState, { ...state, ...changes });
+      if (Object.keys(changes).every((key) => state[key] === changes[key])) {
+        assert.equal(nextState, state);
+      } else {
+        assert.notEqual(nextState, state);
+      }
+    });
+  });
+});
+
+test("keeps other keys of the state", () => {
+  assert.deepEqual(
+    mediaStateTransition({ muted: false, paused: false, other: 1 }, "mute"),
+    { muted: true, paused: false, other: 1 }
+  );
+});
+
+test("throws on unknown actions", () => {
+  assert.throws(
+    () => mediaStateTransition(STATES[0], "hold"),
+    /Unknown media state action: hold/
+  );
+});
+
+test("enables tracks by kind", () => {
+  STATES.forEach((state) => {
+    assert.equal(isTrackEnabled(state, "audio"), !state.muted);
+    assert.equal(isTrackEnabled(state, "video"), !state.paused);
+    assert.equal(isTrackEnabled(state, "data"), true);
+  });
+});
+
+test("announces the whole state", () => {
+  assert.deepEqual(mediaStateActions(STATES[0]), ["unmute", "unpause"]);
+  assert.deepEqual(mediaStateActions(STATES[1]), ["mute", "unpause"]);
+  assert.deepEqual(mediaStateActions(STATES[2]), ["unmute", "pause"]);
+  assert.deepEqual(mediaStateActions(STATES[3]), ["mute", "pause"]);
+});
+
+test("applies the state to tracks", () => {
+  const tracks = createTracks();
+
+  applyToTracks(STATES[3], tracks);
+  assert.deepEqual(enabledKinds(tracks), []);
+
+  applyToTracks(STATES[1], tracks);
+  assert.deepEqual(enabledKinds(tracks), ["video"]);
+
+  applyToTracks(STATES[2], tracks);
+  assert.deepEqual(enabledKinds(tracks), ["audio"]);
+
+  applyToTracks(STATES[0], tracks);
+  assert.deepEqual(enabledKinds(tracks), ["audio", "video"]);
+});
@@ -0,0 +1,347 @@
+import { afterEach, beforeEach, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import PeerProvider, { LocalPeerTrack } from "../../videochat/peer_provider";
+
+// Two providers are connected in one process, like two local peers in one browser. WebRTC is replaced by a loopback fake: descriptions list the sent tracks, which the other connection then emits as received.
+
+let nextId = 0;
+const tracksById = new Map();
+
+class FakeMediaStreamTrack extends EventTarget {
+  constructor(kind) {
+    super();
+    nextId += 1;
+    this.id = `${kind}-${nextId}`;
+    this.kind = kind;
+    this.enabled = true;
+    this.readyState = "live";
+    tracksById.set(this.id, this);
+  }
+
+  stop() {
+    this.readyState = "ended";
+  }
+}
+
+class FakeMediaStream extends EventTarget {
+  constructor(tracks = [], id = null) {
+    super();
+    nextId += 1;
+    this.id = id || `stream-${nextId}`;
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return this.tracks;
+  }
+}
+
+class FakeRTCPeerConnection {
+  constructor() {
+    this.signalingState = "stable";
+    this.connectionState = "new";
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.senders = [];
+    this.receivedTrackIds = new Set();
+    this.candidates = [];
+    this.needsNegotiation = false;
+  }
+
+  addTrack(track, stream) {
+    const sender = {
+      track,
+      streamId: stream.id,
+      replaceTrack: async (newTrack) => {
+        sender.track = newTrack;
+      },
+    };
+    this.senders.push(sender);
+    this.negotiationNeeded();
+    return sender;
+  }
+
+  removeTrack(sender) {
+    this.senders = this.senders.filter((other) => other !== sender);
+    this.negotiationNeeded();
+  }
+
+  negotiationNeeded() {
+    this.needsNegotiation = true;
+    setTimeout(() => this.checkNegotiation());
+  }
+
+  // Like browsers, negotiation is only started again once the signaling state is stable.
+  checkNegotiation() {
+    if (!this.needsNegotiation || this.signalingState !== "stable") return;
+
+    this.needsNegotiation = false;
+    this.onnegotiationneeded?.();
+  }
+
+  async setLocalDescription() {
+    await null;
+    if (this.signalingState === "closed") throw new Error("Closed");
+
+    const type =
+      this.signalingState === "have-remote-offer" ? "answer" : "offer";
+    const sdp = JSON.stringify(
+      this.senders.map((sender) => ({
+        trackId: sender.track.id,
+        streamId: sender.streamId,
+      }))
+    );
+    this.localDescription = { type, sdp, toJSON: () => ({ type, sdp }) };
+    this.setSignalingState(type === "offer" ? "have-local-offer" : "stable");
+    if (type === "answer") this.setConnected();
+
+    // Sent before the description is, so candidates overtake it.
+    nextId += 1;
+    const candidate = `candidate-${nextId}`;
+    this.onicecandidate?.({ candidate: { toJSON: () => ({ candidate }) } });
+  }
+
+  async setRemoteDescription(description) {
+    await null;
+    if (this.signalingState === "closed") throw new Error("Closed");
+
+    // Offers rollback our own offer implicitly, as for the polite peer.
+    if (description.type === "offer" && this.signalingState !== "stable") {
+      this.needsNegotiation = true;
+    }
+    this.remoteDescription = description;
+    this.setSignalingState(
+      description.type === "offer" ? "have-remote-offer" : "stable"
+    );
+    JSON.parse(description.sdp).forEach(({ trackId, streamId }) => {
+      if (this.receivedTrackIds.has(trackId)) return;
+
+      this.receivedTrackIds.add(trackId);
+      const track = tracksById.get(trackId);
+      this.ontrack?.({
+        track,
+        streams: [new FakeMediaStream([track], streamId)],
+      });
+    });
+    if (description.type === "answer") this.setConnected();
+  }
+
+  async addIceCandidate(candidate) {
+    await null;
+    if (!this.remoteDescription) {
+      const error = new Error("No remote description");
+      error.name = "InvalidStateError";
+      throw error;
+    }
+    this.candidates.push(candidate);
+  }
+
+  async getStats() {
+    await null;
+    return new Map([
+      [
+        "pair",
+        { type: "candidate-pair", nominated: true, currentRoundTripTime: 0.05 },
+      ],
+    ]);
+  }
+
+  setSignalingState(signalingState) {
+    this.signalingState = signalingState;
+    if (signalingState === "stable") setTimeout(() => this.checkNegotiation());
+  }
+
+  setConnected() {
+    if (this.connectionState === "connected") return;
+
+    this.connectionState = "connected";
+    this.onconnectionstatechange?.();
+  }
+
+  close() {
+    this.signalingState = "closed";
+    this.connectionState = "closed";
+  }
+}
+
+let reportedErrors;
+let providers;
+
+// Signals are delivered asynchronously and serialized, like through the VideochatChannel.
+function createProviders(...identities) {
+  const created = identities.map(
+    (identity) =>
+      new PeerProvider({
+        identity,
+        signaling: {
+          send: (to, data) => {
+            const message = JSON.parse(JSON.stringify(data));
+            setTimeout(() =>
+              created.forEach((provider) =>
+                provider.receiveSignal(identity, to, message)
+              )
+            );
+          },
+        },
+      })
+  );
+  providers.push(...created);
+  return created;
+}
+
+function createTracks() {
+  return [
+    new LocalPeerTrack(new FakeMediaStreamTrack("audio")),
+    new LocalPeerTrack(new FakeMediaStreamTrack("video")),
+  ];
+}
+
+async function waitFor(condition) {
+  const timeoutAt = Date.now() + 1000;
+  while (!condition()) {
+    if (Date.now() > timeoutAt) throw new Error("Timed out");
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+  }
+}
+
+function subscribedTrackNames(provider, identity) {
+  const participant = provider.room.participants.get(identity);
+  return participant
+    ? Array.from(participant.tracks.values()).map(
+        (publication) => publication.trackName
+      )
+    : [];
+}
+
+beforeEach(() => {
+  reportedErrors = [];
+  providers = [];
+  globalThis.window = { Rollbar: { error: (err) => reportedErrors.push(err) } };
+  globalThis.MediaStream = FakeMediaStream;
+  globalThis.RTCPeerConnection = FakeRTCPeerConnection;
+});
+
+afterEach(() => {
+  providers.forEach((provider) => provider.room?.disconnect());
+  mock.restoreAll();
+});
+
+test("connects two local peers and subscribes to each other's tracks", async () => {
+  const [a, b] = createProviders("a", "b");
+  const tracksA = createTracks();
+  const tracksB = createTracks();
+
+  await a.connect("token", { tracks: tracksA });
+  await b.connect("token", { tracks: tracksB });
+  await waitFor(
+    () =>
+      subscribedTrackNames(a, "b").length === 2 &&
+      subscribedTrackNames(b, "a").length === 2
+  );
+
+  assert.deepEqual(
+    subscribedTrackNames(b, "a").sort(),
+    tracksA.map((track) => track.name).sort()
+  );
+  assert.deepEqual(
+    subscribedTrackNames(a, "b").sort(),
+    tracksB.map((track) => track.name).sort()
+  );
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("negotiates when both peers offer at the same time", async () => {
+  const [a, b] = createProviders("a", "b");
+
+  // Both rooms exist before either join is received, so both peers send an offer.
+  await Promise.all([
+    a.connect("token", { tracks: createTracks() }),
+    b.connect("token", { tracks: createTracks() }),
+  ]);
+  await waitFor(
+    () =>
+      subscribedTrackNames(a, "b").length === 2 &&
+      subscribedTrackNames(b, "a").length === 2
+  );
+
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("adds candidates that arrive before the remote description", async () => {
+  const [a, b] = createProviders("a", "b");
+  await a.connect("token", { tracks: createTracks() });
+  await b.connect("token", { tracks: createTracks() });
+  await waitFor(() => subscribedTrackNames(b, "a").length === 2);
+
+  const { connection } = b.room.peers.get("a");
+  assert.ok(connection.candidates.length > 0);
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("keeps a candidate received without a description until the offer", async () => {
+  const [a] = createProviders("a");
+  await a.connect("token");
+
+  a.receiveSignal("b", "a", {
+    type: "candidate",
+    candidate: { candidate: "early" },
+  });
+  await waitFor(() => a.room.peers.has("b"));
+  a.receiveSignal("b", "a", {
+    type: "description",
+    description: { type: "offer", sdp: "[]" },
+    trackNames: {},
+  });
+
+  const { connection } = a.room.peers.get("b");
+  await waitFor(() => connection.candidates.length > 0);
+  assert.deepEqual(connection.candidates, [{ candidate: "early" }]);
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("reports failed offers", async () => {
+  const error = new Error("Offer failed");
+  mock.method(FakeRTCPeerConnection.prototype, "setLocalDescription", () =>
+    Promise.reject(error)
+  );
+  const [a, b] = createProviders("a", "b");
+
+  await a.connect("token", { tracks: createTracks() });
+  await b.connect("token", { tracks: createTracks() });
+  await waitFor(() => reportedErrors.length > 0);
+
+  assert.equal(reportedErrors[0], error);
+});
+
+test("reports failed descriptions", async () => {
+  const error = new Error("Invalid description");
+  mock.method(FakeRTCPeerConnection.prototype, "setRemoteDescription", () =>
+    Promise.reject(error)
+  );
+  const [a, b] = createProviders("a", "b");
+
+  await a.connect("token", { tracks: createTracks() });
+  await b.connect("token", { tracks: createTracks() });
+  await waitFor(() => reportedErrors.length > 0);
+
+  assert.equal(reportedErrors[0], error);
+});
+
+test("reports failed network quality updates", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const error = new Error("Stats failed");
+  mock.method(FakeRTCPeerConnection.prototype, "getStats", () =>
+    Promise.reject(error)
+  );
+  const [a] = createProviders("a");
+  await a.connect("token");
+  a.receiveSignal("b", null, { type: "join" });
+
+  t.mock.timers.tick(5000);
+  await waitFor(() => reportedErrors.length > 0);
+
+  assert.equal(reportedErrors[0], error);
+});
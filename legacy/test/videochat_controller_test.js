@@ -0,0 +1,202 @@
+import { beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+import CallStore from "../videochat/call_store";
+import EventEmitter from "../videochat/event_emitter";
+import Preferences from "../videochat/preferences";
+
+let reportedErrors;
+
+// The controller reads the globals of the page when it is loaded, so it is imported once they are set.
+globalThis.window = {
+  _: {
+    pick: (object, ...keys) =>
+      Object.fromEntries(keys.map((key) => [key, object[key]])),
+  },
+  I18n: { t: (key) => key },
+  Rollbar: { error: (err) => reportedErrors.push(err) },
+};
+const { default: VideochatController } = await import(
+  "../videochat_controller"
+);
+
+const DATA = {
+  "local-identity": "a",
+  token: "participant-token",
+  url: "/videochats/1",
+};
+
+class FakeTrack {
+  constructor(kind) {
+    this.kind = kind;
+    this.isEnabled = true;
+  }
+
+  enable() {
+    this.isEnabled = true;
+  }
+
+  disable() {
+    this.isEnabled = false;
+  }
+}
+
+// Keeps which tracks were enabled when they were published, and the rooms, so tests can disconnect them.
+class FakeProvider {
+  constructor() {
+    this.publishedTracks = [];
+    this.rooms = [];
+  }
+
+  async connect(accessToken, { tracks }) {
+    this.publishedTracks.push(
+      tracks.map(({ kind, isEnabled }) => ({ kind, isEnabled }))
+    );
+    const room = new EventEmitter();
+    room.participants = new Map();
+    room.localParticipant = new EventEmitter();
+    this.rooms.push(room);
+    return room;
+  }
+}
+
+// The controller as set up by connect(), without the DOM. The channel is created by setupChannel() with the fake Action Cable consumer.
+function createController(state = {}) {
+  const controller = new VideochatController();
+  controller.data = {
+    get: (key) => DATA[key] ?? null,
+    has: (key) => key in DATA,
+  };
+  controller.store = new CallStore({
+    localIdentity: "a",
+    participants: [{ identity: "a", state: "accepted" }],
+    ...state,
+  });
+  controller.preferences = new Preferences("videochat-preferences-a");
+  controller.provider = new FakeProvider();
+  controller.localTracks = [new FakeTrack("audio"), new FakeTrack("video")];
+  controller.followDominantSpeaker = { cancel() {} };
+  controller.rejoinAttempts = 0;
+  // Stats are collected from the peer connections, which the fake room does not have.
+  controller.startStats = () => {};
+  controller.stopStats = () => {};
+  controller.setupChannel();
+  return controller;
+}
+
+function enabledKinds(tracks) {
+  return tracks.filter((track) => track.isEnabled).map((track) => track.kind);
+}
+
+function performedActions(controller) {
+  return controller.channel.performed.map(({ action, data }) =>
+    data?.status ? `${action} ${data.status}` : action
+  );
+}
+
+async function joined(controller) {
+  await new Promise(setImmediate);
+  assert.ok(controller.isConnected());
+}
+
+beforeEach(() => {
+  reportedErrors = [];
+  globalThis.$ = {
+    rails: {
+      ajax: ({ success }) => success({ recording: false, token: "token" }),
+    },
+  };
+});
+
+test("applies mute and pause before joining and announces them once connected", async () => {
+  const controller = createController();
+
+  controller.mute();
+  controller.pause();
+  assert.deepEqual(enabledKinds(controller.localTracks), []);
+  assert.deepEqual(performedActions(controller), []);
+
+  controller.connectChat();
+  await joined(controller);
+
+  assert.deepEqual(controller.provider.publishedTracks, [
+    [
+      { kind: "audio", isEnabled: false },
+      { kind: "video", isEnabled: false },
+    ],
+  ]);
+  assert.deepEqual(performedActions(controller), [
+    "update_status connected",
+    "mute",
+    "pause",
+  ]);
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("publishes the kept tracks in the muted and paused state", async () => {
+  // E.g. the state was restored while the tracks were enabled.
+  const controller = createController({ muted: true, paused: true });
+  assert.deepEqual(enabledKinds(controller.localTracks), ["audio", "video"]);
+
+  controller.connectChat();
+  await joined(controller);
+
+  assert.deepEqual(controller.provider.publishedTracks, [
+    [
+      { kind: "audio", isEnabled: false },
+      { kind: "video", isEnabled: false },
+    ],
+  ]);
+  assert.deepEqual(performedActions(controller), [
+    "update_status connected",
+    "mute",
+    "pause",
+  ]);
+});
+
+test("applies and announces the state again after rejoining", async (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const controller = createController();
+  controller.mute();
+  controller.pause();
+  controller.connectChat();
+  await joined(controller);
+  const [room] = controller.provider.rooms;
+  const publishedTracks = controller.localTracks;
+
+  room.emit("disconnected", room, { code: 53001 });
+  assert.equal(controller.isConnected(), false);
+  assert.equal(controller.state.muted, true);
+  assert.equal(controller.state.paused, true);
+  // Unmuting while disconnected only changes the tracks, it is announced with the whole state after rejoining.
+  controller.unmute();
+
+  t.mock.timers.tick(1000);
+  await joined(controller);
+
+  assert.equal(controller.localTracks, publishedTracks);
+  assert.deepEqual(controller.provider.publishedTracks[1], [
+    { kind: "audio", isEnabled: true },
+    { kind: "video", isEnabled: false },
+  ]);
+  assert.deepEqual(performedActions(controller).slice(3), [
+    "update_status reconnecting",
+    "update_status connected",
+    "unmute",
+    "pause",
+  ]);
+  assert.deepEqual(reportedErrors, []);
+});
+
+test("announces the state again when the channel reconnects", async () => {
+  const controller = createController();
+  controller.mute();
+  controller.channel.callbacks.connected();
+  assert.deepEqual(performedActions(controller), []);
+
+  controller.connectChat();
+  await joined(controller);
+  controller.channel.performed.length = 0;
+  controller.channel.callbacks.connected();
+
+  assert.deepEqual(performedActions(controller), ["mute", "unpause"]);
+});
@@ -0,0 +1,42 @@
+const MEASURE_INTERVAL = 100;
+
+// Measures the input level of an audio track with the Web Audio API and reports it as a value between 0 and 1.
+export default class AudioLevelMeter {
+  constructor(mediaStreamTrack, onLevel) {
+    this.mediaStreamTrack = mediaStreamTrack;
+    this.onLevel = onLevel;
+  }
+
+  start() {
+    this.context = new AudioContext();
+    this.context.resume();
+
+    const source = this.context.createMediaStreamSource(
+      new MediaStream([this.mediaStreamTrack])
+    );
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = 1024;
+    source.connect(this.analyser);
+
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.interval = setInterval(this.measure.bind(this), MEASURE_INTERVAL);
+  }
+
+  measure() {
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    const sumOfSquares = this.samples.reduce(
+      (sum, sample) => sum + sample * sample,
+      0
+    );
+    const rms = Math.sqrt(sumOfSquares / this.samples.length);
+    // Speech rarely exceeds an RMS of 0.25, so scale it up to use the whole meter.
+    this.onLevel(Math.min(1, rms * 4));
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.context?.close();
+    this.context = null;
+  }
+}
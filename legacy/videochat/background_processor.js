@@ -0,0 +1,102 @@
+// The person is segmented on a downscaled frame, the input size of the model. The mask is smoothed when it is scaled up again.
+const MASK_WIDTH = 256;
+const MASK_HEIGHT = 144;
+const BLUR_RADIUS = 12;
+
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Video processor that blurs or replaces the background of the local camera, following Twilio's processFrame interface. Frames are composited right away with the latest mask of the segmenter, while the next frame is segmented in the background. Until the first mask is ready, the whole frame counts as background, so the room is never shown unprocessed.
+export default class BackgroundProcessor {
+  constructor({
+    type,
+    segmenter,
+    image = null,
+    blurRadius = BLUR_RADIUS,
+    onError = null,
+  }) {
+    this.type = type;
+    this.segmenter = segmenter;
+    this.image = image;
+    this.blurRadius = blurRadius;
+    this.onError = onError;
+    this.failed = false;
+    this.sampleCanvas = createCanvas(MASK_WIDTH, MASK_HEIGHT);
+    this.maskCanvas = createCanvas(MASK_WIDTH, MASK_HEIGHT);
+    this.personCanvas = createCanvas(0, 0);
+  }
+
+  processFrame(inputFrame, outputFrame) {
+    const width = inputFrame.videoWidth || inputFrame.width;
+    const height = inputFrame.videoHeight || inputFrame.height;
+    if (!width || !height) return;
+
+    [outputFrame, this.personCanvas].forEach((canvas) => {
+      if (canvas.width !== width || canvas.height !== height) {
+        // eslint-disable-next-line no-param-reassign
+        canvas.width = width;
+        // eslint-disable-next-line no-param-reassign
+        canvas.height = height;
+      }
+    });
+
+    this.updateMask(inputFrame);
+
+    const personContext = this.personCanvas.getContext("2d");
+    personContext.globalCompositeOperation = "copy";
+    personContext.drawImage(inputFrame, 0, 0, width, height);
+    personContext.globalCompositeOperation = "destination-in";
+    personContext.drawImage(this.maskCanvas, 0, 0, width, height);
+
+    const context = outputFrame.getContext("2d");
+    if (this.type === "image" && this.image?.complete) {
+      this.drawCover(context, width, height);
+    } else {
+      context.filter = `blur(${this.blurRadius}px)`;
+      context.drawImage(inputFrame, 0, 0, width, height);
+      context.filter = "none";
+    }
+    context.drawImage(this.personCanvas, 0, 0);
+  }
+
+  // Frames that arrive while the segmenter is busy keep the previous mask, so slow devices segment fewer frames instead of falling behind.
+  updateMask(inputFrame) {
+    if (this.failed || this.segmenter.busy) return;
+
+    this.sampleCanvas
+      .getContext("2d")
+      .drawImage(inputFrame, 0, 0, MASK_WIDTH, MASK_HEIGHT);
+    this.segmenter
+      .segment(this.sampleCanvas, (mask) => {
+        const maskContext = this.maskCanvas.getContext("2d");
+        maskContext.globalCompositeOperation = "copy";
+        maskContext.drawImage(mask, 0, 0, MASK_WIDTH, MASK_HEIGHT);
+      })
+      .catch((err) => {
+        // E.g. the model could not be loaded. Reported once instead of for every frame.
+        this.failed = true;
+        this.onError?.(err);
+      });
+  }
+
+  // Scales the background image to cover the whole frame, cropping what does not fit.
+  drawCover(context, width, height) {
+    const scale = Math.max(
+      width / this.image.naturalWidth,
+      height / this.image.naturalHeight
+    );
+    const imageWidth = this.image.naturalWidth * scale;
+    const imageHeight = this.image.naturalHeight * scale;
+    context.drawImage(
+      this.image,
+      (width - imageWidth) / 2,
+      (height - imageHeight) / 2,
+      imageWidth,
+      imageHeight
+    );
+  }
+}
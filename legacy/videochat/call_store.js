@@ -0,0 +1,563 @@
+const SCREEN_IDENTITY_SUFFIX = ":screen";
+
+// State that only lives as long as the connection to a room.
+const CALL_STATE = {
+  connected: false,
+  connecting: false,
+  reconnecting: false,
+  recording: false,
+  recordingRequested: false,
+  recordingConsentRequested: false,
+  localRecording: false,
+  mainIdentity: null,
+  mainPinned: false,
+  dominantSpeakerIdentity: null,
+  badSignal: false,
+  hideBadSignalWarning: false,
+  selectedIdentities: [],
+  screenShares: [],
+  galleryPage: 0,
+};
+
+// State of a videochat, without any DOM or provider objects. All changes go through the actions below, which replace changed slices instead of mutating them, so subscribers can compare slices of the new and previous state to find out what changed.
+export default class CallStore {
+  constructor({
+    localIdentity,
+    participants,
+    autoselect = false,
+    galleryPageSize = 9,
+    ...state
+  }) {
+    this.localIdentity = localIdentity;
+    this.autoselect = autoselect;
+    this.galleryPageSize = galleryPageSize;
+    this.listeners = [];
+    this.batchDepth = 0;
+    this.state = {
+      ...CALL_STATE,
+      participants,
+      muted: false,
+      paused: false,
+      errorMessage: null,
+      screenSharing: false,
+      chatOpen: false,
+      unreadMessages: 0,
+      locked: false,
+      waiting:
+        participants.find(
+          (participant) => participant.identity === localIdentity
+        )?.state === "pending",
+      denied: false,
+      followSpeaker: false,
+      noAudio: false,
+      preflightRunning: false,
+      preflightStatus: null,
+      audioOnly: false,
+      videoRestoreOffered: false,
+      backgroundEffect: null,
+      noiseGate: false,
+      pushToTalk: false,
+      raisedHands: [],
+      ...state,
+    };
+    this.notifiedState = this.state;
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter((other) => other !== listener);
+    };
+  }
+
+  update(changes) {
+    if (Object.keys(changes).every((key) => this.state[key] === changes[key]))
+      return;
+
+    this.state = { ...this.state, ...changes };
+    if (this.batchDepth === 0) this.notify();
+  }
+
+  // Notifies subscribers only once for all actions in the callback.
+  batch(callback) {
+    this.batchDepth += 1;
+    try {
+      callback();
+    } finally {
+      this.batchDepth -= 1;
+    }
+    if (this.batchDepth === 0) this.notify();
+  }
+
+  notify() {
+    if (this.state === this.notifiedState) return;
+
+    const previousState = this.notifiedState;
+    this.notifiedState = this.state;
+    this.listeners.forEach((listener) => listener(this.state, previousState));
+  }
+
+  findParticipant(identity) {
+    return this.state.participants.find(
+      (participant) => participant.identity === identity
+    );
+  }
+
+  findScreenShare(identity) {
+    return this.state.screenShares.find(
+      (screenShare) => screenShare.identity === identity
+    );
+  }
+
+  isLocalParticipant(participant) {
+    return participant.identity === this.localIdentity;
+  }
+
+  // The local participant is always regarded as connected, all other participants only if we are currently connected to the room, and the participant is connected.
+  isParticipantConnected(participant) {
+    return (
+      (this.state.connected && participant.state === "connected") ||
+      this.isLocalParticipant(participant)
+    );
+  }
+
+  isSelected(identity) {
+    return this.state.selectedIdentities.includes(identity);
+  }
+
+  // The call counts as recorded if the room is recorded, or any participant records it locally.
+  isRecorded(state = this.state) {
+    return (
+      state.recording ||
+      state.participants.some((participant) => participant.local_recording)
+    );
+  }
+
+  isModerator() {
+    return !!this.findParticipant(this.localIdentity)?.moderator;
+  }
+
+  hasPendingParticipants() {
+    return this.state.participants.some(
+      (participant) => participant.state === "pending"
+    );
+  }
+
+  getPriorityFor(identity) {
+    const { mainIdentity, dominantSpeakerIdentity, selectedIdentities } =
+      this.state;
+
+    if (mainIdentity === identity || dominantSpeakerIdentity === identity) {
+      return "high";
+    }
+    if (this.isSelected(identity) && !this.isOnHiddenGalleryPage(identity)) {
+      return selectedIdentities.length === 1 ? "high" : "standard";
+    }
+    return "low";
+  }
+
+  // Selected participants that are not shown as main view are shown in the gallery, which is split into pages of galleryPageSize tiles.
+  galleryIdentities() {
+    return this.state.selectedIdentities.filter(
+      (identity) => identity !== this.state.mainIdentity
+    );
+  }
+
+  galleryPageCount() {
+    return Math.max(
+      1,
+      Math.ceil(this.galleryIdentities().length / this.galleryPageSize)
+    );
+  }
+
+  // The stored page can be past the last page after participants were deselected.
+  currentGalleryPage() {
+    return Math.min(this.state.galleryPage, this.galleryPageCount() - 1);
+  }
+
+  visibleGalleryIdentities() {
+    const start = this.currentGalleryPage() * this.galleryPageSize;
+    return this.galleryIdentities().slice(start, start + this.galleryPageSize);
+  }
+
+  isOnHiddenGalleryPage(identity) {
+    return (
+      this.galleryIdentities().includes(identity) &&
+      !this.visibleGalleryIdentities().includes(identity)
+    );
+  }
+
+  // Number of selected tiles that are currently shown, including the main view.
+  visibleTileCount() {
+    const { selectedIdentities, mainIdentity } = this.state;
+    return (
+      this.visibleGalleryIdentities().length +
+      (selectedIdentities.includes(mainIdentity) ? 1 : 0)
+    );
+  }
+
+  // Viewing a screen share counts as viewing the participant who is sharing.
+  currentlyViewing() {
+    const identities = this.state.selectedIdentities.map((identity) =>
+      identity.replace(SCREEN_IDENTITY_SUFFIX, "")
+    );
+    return identities.filter(
+      (identity, index) => identities.indexOf(identity) === index
+    );
+  }
+
+  layout() {
+    const { selectedIdentities, mainIdentity, mainPinned } = this.state;
+    return { selectedIdentities, mainIdentity, mainPinned };
+  }
+
+  resetCall() {
+    this.update(CALL_STATE);
+  }
+
+  startConnecting() {
+    this.update({ connecting: true, errorMessage: null });
+  }
+
+  connected() {
+    this.update({ connected: true, connecting: false, reconnecting: false });
+  }
+
+  setConnecting(connecting) {
+    this.update({ connecting });
+  }
+
+  setReconnecting(reconnecting) {
+    this.update({ reconnecting });
+  }
+
+  setError(errorMessage) {
+    this.update({ errorMessage });
+  }
+
+  setMuted(muted) {
+    this.update({ muted });
+  }
+
+  setPaused(paused) {
+    this.update({ paused });
+  }
+
+  setMediaState({ muted, paused }) {
+    this.update({ muted, paused });
+  }
+
+  setRecording(recording) {
+    this.update({ recording, recordingRequested: false });
+  }
+
+  setLocalRecording(localRecording) {
+    this.update({ localRecording });
+  }
+
+  requestRecording() {
+    this.update({ recordingRequested: true });
+  }
+
+  cancelRecordingRequest() {
+    this.update({ recordingRequested: false });
+  }
+
+  requestRecordingConsent() {
+    this.update({ recordingConsentRequested: true });
+  }
+
+  recordingConsentAnswered() {
+    this.update({ recordingConsentRequested: false });
+  }
+
+  setBadSignal(badSignal) {
+    this.update({ badSignal });
+  }
+
+  dismissBadSignal() {
+    this.update({ hideBadSignalWarning: true });
+  }
+
+  setAudioOnly(audioOnly) {
+    this.update({ audioOnly, videoRestoreOffered: false });
+  }
+
+  offerVideoRestore() {
+    if (this.state.audioOnly) this.update({ videoRestoreOffered: true });
+  }
+
+  dismissVideoRestore() {
+    this.update({ videoRestoreOffered: false });
+  }
+
+  // Raised hands are kept in the order they were raised.
+  raiseHand(identity) {
+    if (this.state.raisedHands.includes(identity)) return;
+
+    this.update({ raisedHands: [...this.state.raisedHands, identity] });
+  }
+
+  lowerHand(identity) {
+    if (!this.state.raisedHands.includes(identity)) return;
+
+    this.update({
+      raisedHands: this.state.raisedHands.filter((other) => other !== identity),
+    });
+  }
+
+  isHandRaised(identity) {
+    return this.state.raisedHands.includes(identity);
+  }
+
+  setNoiseGate(noiseGate) {
+    this.update({ noiseGate });
+  }
+
+  setPushToTalk(pushToTalk) {
+    this.update({ pushToTalk });
+  }
+
+  setBackgroundEffect(backgroundEffect) {
+    this.update({ backgroundEffect });
+  }
+
+  setScreenSharing(screenSharing) {
+    this.update({ screenSharing });
+  }
+
+  setLocked(locked) {
+    this.update({ locked });
+  }
+
+  leaveWaitingRoom(denied) {
+    this.update({ waiting: false, denied });
+  }
+
+  setNoAudio(noAudio) {
+    this.update({ noAudio });
+  }
+
+  startPreflight() {
+    this.update({ preflightRunning: true, preflightStatus: null });
+  }
+
+  preflightCompleted(preflightStatus) {
+    this.update({ preflightRunning: false, preflightStatus });
+  }
+
+  toggleChat() {
+    const chatOpen = !this.state.chatOpen;
+    this.update({
+      chatOpen,
+      unreadMessages: chatOpen ? 0 : this.state.unreadMessages,
+    });
+  }
+
+  messageReceived(identity) {
+    if (this.state.chatOpen || identity === this.localIdentity) return;
+
+    this.update({ unreadMessages: this.state.unreadMessages + 1 });
+  }
+
+  addParticipant(participant) {
+    this.update({ participants: [...this.state.participants, participant] });
+  }
+
+  updateParticipant(identity, changes) {
+    this.update({
+      participants: this.state.participants.map((participant) =>
+        participant.identity === identity
+          ? { ...participant, ...changes }
+          : participant
+      ),
+    });
+  }
+
+  participantConnected(identity, networkQualityLevel) {
+    this.batch(() => {
+      this.updateParticipant(identity, {
+        state: "connected",
+        networkQualityLevel,
+      });
+      // In case of one-on-one videochats, we automatically select the other participant.
+      if (this.autoselect && identity !== this.localIdentity) {
+        this.selectParticipant(identity);
+      }
+    });
+  }
+
+  participantDisconnected(identity) {
+    this.batch(() => {
+      this.removeScreenShare(identity);
+      this.updateParticipant(identity, {
+        state: "disconnected",
+        reconnecting: false,
+      });
+      this.deselectParticipant(identity);
+      // Participants who leave lower their hand, so they are not listed first for the rest of the call.
+      this.lowerHand(identity);
+      // The followed speaker is shown as main view without being selected.
+      if (this.state.mainIdentity === identity) {
+        this.update({ mainIdentity: null, mainPinned: false });
+      }
+    });
+  }
+
+  setParticipantReconnecting(identity, reconnecting) {
+    this.updateParticipant(identity, { reconnecting });
+  }
+
+  setNetworkQualityLevel(identity, networkQualityLevel) {
+    this.updateParticipant(identity, { networkQualityLevel });
+  }
+
+  selectParticipant(identity) {
+    const participant =
+      this.findParticipant(identity) || this.findScreenShare(identity);
+    if (!participant || !this.isParticipantConnected(participant)) return;
+    if (this.isSelected(identity)) return;
+
+    this.update({
+      selectedIdentities: [...this.state.selectedIdentities, identity],
+    });
+  }
+
+  deselectParticipant(identity) {
+    if (!this.isSelected(identity)) return;
+
+    const changes = {
+      selectedIdentities: this.state.selectedIdentities.filter(
+        (other) => other !== identity
+      ),
+    };
+    if (this.state.mainIdentity === identity) {
+      changes.mainIdentity = null;
+      changes.mainPinned = false;
+    }
+    this.update(changes);
+  }
+
+  toggleParticipant(identity) {
+    if (this.isSelected(identity)) {
+      this.deselectParticipant(identity);
+    } else {
+      this.selectParticipant(identity);
+    }
+  }
+
+  // Pins the participant as main view, or unpins them if they already are.
+  togglePreferred(identity) {
+    const mainIdentity = this.state.mainIdentity === identity ? null : identity;
+    this.update({ mainIdentity, mainPinned: mainIdentity !== null });
+  }
+
+  cycleView() {
+    const { selectedIdentities, mainIdentity } = this.state;
+    if (selectedIdentities.length <= 1) return;
+
+    let nextMainIdentity;
+    if (mainIdentity) {
+      const nextIndex = selectedIdentities.indexOf(mainIdentity) + 1;
+      nextMainIdentity =
+        nextIndex >= selectedIdentities.length
+          ? null
+          : selectedIdentities[nextIndex];
+    } else {
+      [nextMainIdentity] = selectedIdentities;
+    }
+    this.update({
+      mainIdentity: nextMainIdentity,
+      mainPinned: nextMainIdentity !== null,
+    });
+  }
+
+  setGalleryPage(page) {
+    const galleryPage = Math.max(
+      0,
+      Math.min(page, this.galleryPageCount() - 1)
+    );
+    this.update({ galleryPage });
+  }
+
+  nextGalleryPage() {
+    this.setGalleryPage(this.currentGalleryPage() + 1);
+  }
+
+  previousGalleryPage() {
+    this.setGalleryPage(this.currentGalleryPage() - 1);
+  }
+
+  // Reselects the participants that were selected before the connection was lost.
+  restoreLayout({ selectedIdentities, mainIdentity, mainPinned }) {
+    this.batch(() => {
+      selectedIdentities.forEach((identity) =>
+        this.selectParticipant(identity)
+      );
+      if (this.isSelected(mainIdentity)) {
+        this.update({ mainIdentity, mainPinned });
+      }
+    });
+  }
+
+  setDominantSpeaker(identity) {
+    this.update({ dominantSpeakerIdentity: identity });
+  }
+
+  // Shows the dominant speaker as main view, unless the user pinned a participant there.
+  showDominantSpeaker() {
+    const { followSpeaker, mainPinned, dominantSpeakerIdentity } = this.state;
+    if (!followSpeaker || mainPinned) return;
+
+    const speaker = this.findParticipant(dominantSpeakerIdentity);
+    if (!speaker || !this.isParticipantConnected(speaker)) return;
+
+    this.update({ mainIdentity: speaker.identity });
+  }
+
+  toggleFollowSpeaker() {
+    this.batch(() => {
+      const followSpeaker = !this.state.followSpeaker;
+      this.update({ followSpeaker });
+      if (followSpeaker) {
+        this.showDominantSpeaker();
+      } else if (!this.state.mainPinned) {
+        this.update({ mainIdentity: null });
+      }
+    });
+  }
+
+  // Remote screen shares can be selected and shown as main view like a participant. They are shown like a pinned participant, so follow speaker mode does not replace them.
+  addScreenShare(ownerIdentity) {
+    const identity = `${ownerIdentity}${SCREEN_IDENTITY_SUFFIX}`;
+    if (this.findScreenShare(identity)) return identity;
+
+    this.batch(() => {
+      this.update({
+        screenShares: [
+          ...this.state.screenShares,
+          { identity, ownerIdentity, state: "connected" },
+        ],
+      });
+      this.selectParticipant(identity);
+      if (!this.state.mainPinned) {
+        this.update({ mainIdentity: identity, mainPinned: true });
+      }
+    });
+    return identity;
+  }
+
+  removeScreenShare(ownerIdentity) {
+    const identity = `${ownerIdentity}${SCREEN_IDENTITY_SUFFIX}`;
+    if (!this.findScreenShare(identity)) return;
+
+    this.batch(() => {
+      this.update({
+        screenShares: this.state.screenShares.filter(
+          (screenShare) => screenShare.identity !== identity
+        ),
+      });
+      this.deselectParticipant(identity);
+    });
+  }
+}
@@ -0,0 +1,34 @@
+import EventEmitter from "./event_emitter";
+
+const DEMO_PREFLIGHT_DURATION = 2000;
+
+const DEFAULT_REPORT = {
+  stats: {
+    rtt: { min: 20, max: 45, average: 30 },
+    jitter: { min: 0, max: 0.004, average: 0.002 },
+    packetLoss: { min: 0, max: 0, average: 0 },
+    outgoingBitrate: { min: 900, max: 1500, average: 1200 },
+    incomingBitrate: { min: 900, max: 1500, average: 1200 },
+  },
+};
+
+// Replays a scripted report with the same events as Twilio's PreflightTest. A report with an `error` fails the test.
+export default class DemoPreflightTest extends EventEmitter {
+  constructor(report) {
+    super();
+    this.report = report || DEFAULT_REPORT;
+    this.timeout = setTimeout(this.finish.bind(this), DEMO_PREFLIGHT_DURATION);
+  }
+
+  finish() {
+    if (this.report.error) {
+      this.emit("failed", this.report.error, this.report);
+    } else {
+      this.emit("completed", this.report);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timeout);
+  }
+}
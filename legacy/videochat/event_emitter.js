@@ -0,0 +1,34 @@
+// Minimal event emitter with the subset of the Node.js API that the videochat providers use.
+export default class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) this.listeners[event] = [];
+    this.listeners[event].push(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    const onceListener = (...args) => {
+      this.off(event, onceListener);
+      listener(...args);
+    };
+    return this.on(event, onceListener);
+  }
+
+  off(event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter(
+      (other) => other !== listener
+    );
+    return this;
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || [])
+      .slice()
+      .forEach((listener) => listener(...args));
+    return this;
+  }
+}
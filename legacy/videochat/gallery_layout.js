@@ -0,0 +1,17 @@
+// Picks the number of columns and rows that gives the largest tiles with the given aspect ratio in a container of the given size.
+export default function galleryGrid(count, width, height, aspectRatio) {
+  if (count === 0) return { columns: 0, rows: 0 };
+  // The container is not rendered yet, so we fall back to a square grid.
+  if (!width || !height) {
+    const columns = Math.ceil(Math.sqrt(count));
+    return { columns, rows: Math.ceil(count / columns) };
+  }
+
+  let best = { columns: 1, rows: count, tileWidth: 0 };
+  for (let columns = 1; columns <= count; columns += 1) {
+    const rows = Math.ceil(count / columns);
+    const tileWidth = Math.min(width / columns, (height / rows) * aspectRatio);
+    if (tileWidth > best.tileWidth) best = { columns, rows, tileWidth };
+  }
+  return { columns: best.columns, rows: best.rows };
+}
@@ -0,0 +1,111 @@
+import galleryGrid from "./gallery_layout";
+
+const FRAME_RATE = 15;
+const WIDTH = 1280;
+const HEIGHT = 720;
+const MIME_TYPE = "video/webm";
+
+// Records a call in the browser: audio tracks are mixed with the Web Audio API, and the video elements returned by getVideoElements are drawn side by side onto a canvas.
+export default class LocalRecorder {
+  constructor(getVideoElements, onStop) {
+    this.getVideoElements = getVideoElements;
+    this.onStop = onStop;
+    this.audioTracks = [];
+    this.chunks = [];
+  }
+
+  static get isSupported() {
+    return !!(
+      window.MediaRecorder &&
+      MediaRecorder.isTypeSupported(MIME_TYPE) &&
+      window.AudioContext &&
+      HTMLCanvasElement.prototype.captureStream
+    );
+  }
+
+  start(audioTracks) {
+    const context = new AudioContext();
+    this.context = context;
+    this.destination = context.createMediaStreamDestination();
+    audioTracks.forEach(this.addAudioTrack.bind(this));
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = WIDTH;
+    this.canvas.height = HEIGHT;
+    // Timers keep running in background tabs, unlike animation frames.
+    this.drawInterval = setInterval(this.draw.bind(this), 1000 / FRAME_RATE);
+
+    const stream = new MediaStream([
+      ...this.canvas.captureStream(FRAME_RATE).getVideoTracks(),
+      ...this.destination.stream.getAudioTracks(),
+    ]);
+    try {
+      this.recorder = new MediaRecorder(stream, { mimeType: MIME_TYPE });
+      this.recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) this.chunks.push(event.data);
+      };
+      // The audio is only stopped once the last data was recorded.
+      this.recorder.onstop = () => {
+        context.close();
+        this.onStop(new Blob(this.chunks, { type: MIME_TYPE }));
+        this.chunks = [];
+      };
+      this.recorder.start(1000);
+    } catch (err) {
+      this.recorder = null;
+      this.stop();
+      context.close();
+      throw err;
+    }
+  }
+
+  // Participants who join during the recording are added to the mix.
+  addAudioTrack(mediaStreamTrack) {
+    if (!this.context || this.audioTracks.includes(mediaStreamTrack)) return;
+
+    this.audioTracks.push(mediaStreamTrack);
+    this.context
+      .createMediaStreamSource(new MediaStream([mediaStreamTrack]))
+      .connect(this.destination);
+  }
+
+  draw() {
+    const canvasContext = this.canvas.getContext("2d");
+    canvasContext.fillStyle = "#000";
+    canvasContext.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const videos = this.getVideoElements().filter(
+      (video) => video.videoWidth > 0
+    );
+    const { columns, rows } = galleryGrid(
+      videos.length,
+      WIDTH,
+      HEIGHT,
+      WIDTH / HEIGHT
+    );
+    const cellWidth = WIDTH / columns;
+    const cellHeight = HEIGHT / rows;
+    videos.forEach((video, index) => {
+      // Fit the video into its cell, keeping its aspect ratio.
+      const scale = Math.min(
+        cellWidth / video.videoWidth,
+        cellHeight / video.videoHeight
+      );
+      const width = video.videoWidth * scale;
+      const height = video.videoHeight * scale;
+      canvasContext.drawImage(
+        video,
+        (index % columns) * cellWidth + (cellWidth - width) / 2,
+        Math.floor(index / columns) * cellHeight + (cellHeight - height) / 2,
+        width,
+        height
+      );
+    });
+  }
+
+  stop() {
+    clearInterval(this.drawInterval);
+    this.recorder?.stop();
+    this.context = null;
+  }
+}
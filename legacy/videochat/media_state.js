@@ -0,0 +1,40 @@
+// Local media state of the participant, i.e. whether the microphone is muted and the camera is paused. The state is a plain object and the transitions are pure, so the same state can be applied to recreated tracks and announced again after reconnecting.
+const TRANSITIONS = {
+  mute: { muted: true },
+  unmute: { muted: false },
+  pause: { paused: true },
+  unpause: { paused: false },
+};
+
+// Returns the state after the action. Actions that do not change anything, e.g. muting twice, return the given state itself.
+export default function mediaStateTransition(state, action) {
+  const changes = TRANSITIONS[action];
+  if (!changes) throw new Error(`Unknown media state action: ${action}`);
+
+  if (Object.keys(changes).every((key) => state[key] === changes[key])) {
+    return state;
+  }
+  return { ...state, ...changes };
+}
+
+export function isTrackEnabled(state, kind) {
+  if (kind === "audio") return !state.muted;
+  if (kind === "video") return !state.paused;
+  return true;
+}
+
+// Enables or disables the tracks, e.g. the preview tracks before joining or the tracks recreated when rejoining.
+export function applyToTracks(state, tracks) {
+  tracks.forEach((track) => {
+    if (isTrackEnabled(state, track.kind)) {
+      track.enable();
+    } else {
+      track.disable();
+    }
+  });
+}
+
+// Channel actions that announce the whole state, e.g. after joining the room.
+export function mediaStateActions(state) {
+  return [state.muted ? "mute" : "unmute", state.paused ? "pause" : "unpause"];
+}
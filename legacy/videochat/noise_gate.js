@@ -0,0 +1,42 @@
+import AudioLevelMeter from "./audio_level_meter";
+
+const THRESHOLD = 0.05;
+// Keeps the gate open between words, so speech is not cut off.
+const HOLD_TIME = 400;
+
+// Opens while the microphone level is above the threshold and reports changes to onChange. The level is measured on a clone of the track, so it can still be measured while the gate keeps the track itself disabled.
+export default class NoiseGate {
+  constructor(mediaStreamTrack, onChange, threshold = THRESHOLD) {
+    this.mediaStreamTrack = mediaStreamTrack;
+    this.onChange = onChange;
+    this.threshold = threshold;
+    this.open = true;
+  }
+
+  start() {
+    this.measuredTrack = this.mediaStreamTrack.clone();
+    this.lastOpenAt = Date.now();
+    this.meter = new AudioLevelMeter(
+      this.measuredTrack,
+      this.levelChanged.bind(this)
+    );
+    this.meter.start();
+  }
+
+  levelChanged(level) {
+    if (level > this.threshold) this.lastOpenAt = Date.now();
+
+    const open = Date.now() - this.lastOpenAt < HOLD_TIME;
+    if (open !== this.open) {
+      this.open = open;
+      this.onChange(open);
+    }
+  }
+
+  stop() {
+    this.meter?.stop();
+    this.measuredTrack?.stop();
+    this.meter = null;
+    this.measuredTrack = null;
+  }
+}
@@ -0,0 +1,537 @@
+import EventEmitter from "./event_emitter";
+
+const NETWORK_QUALITY_INTERVAL = 5000;
+const PROCESSOR_FRAME_RATE = 24;
+
+// Network quality levels 5 (best) to 1, by round trip time in seconds and packet loss ratio, similar to Twilio's levels.
+const NETWORK_QUALITY_LEVELS = [
+  { level: 5, rtt: 0.1, packetLoss: 0.01 },
+  { level: 4, rtt: 0.2, packetLoss: 0.02 },
+  { level: 3, rtt: 0.3, packetLoss: 0.05 },
+  { level: 2, rtt: 0.5, packetLoss: 0.1 },
+];
+
+// Errors of the negotiation happen in event handlers, so they are reported like the errors the controller does not show.
+function reportError(err) {
+  window.Rollbar?.error(err);
+}
+
+function networkQualityLevel(report) {
+  let rtt = 0;
+  let packetsLost = 0;
+  let packetsReceived = 0;
+  report.forEach((stats) => {
+    if (stats.type === "candidate-pair" && stats.nominated) {
+      rtt = stats.currentRoundTripTime || 0;
+    } else if (stats.type === "inbound-rtp") {
+      packetsLost += stats.packetsLost || 0;
+      packetsReceived += stats.packetsReceived || 0;
+    }
+  });
+  const totalPackets = packetsLost + packetsReceived;
+  const packetLoss = totalPackets > 0 ? packetsLost / totalPackets : 0;
+
+  const match = NETWORK_QUALITY_LEVELS.find(
+    (quality) => rtt < quality.rtt && packetLoss < quality.packetLoss
+  );
+  return match ? match.level : 1;
+}
+
+class PeerTrack extends EventEmitter {
+  constructor(mediaStreamTrack, name) {
+    super();
+    this.mediaStreamTrack = mediaStreamTrack;
+    this.kind = mediaStreamTrack.kind;
+    this.name = name || mediaStreamTrack.id;
+    this.attachments = [];
+  }
+
+  get isEnabled() {
+    return this.mediaStreamTrack.enabled;
+  }
+
+  // The track that is rendered and sent, which differs from mediaStreamTrack while a processor is added.
+  get outputTrack() {
+    return this.mediaStreamTrack;
+  }
+
+  attach() {
+    const element = document.createElement(this.kind);
+    element.autoplay = true;
+    if (this.kind === "video") element.playsInline = true;
+    element.srcObject = new MediaStream([this.outputTrack]);
+
+    this.attachments.push(element);
+    return element;
+  }
+
+  detach() {
+    const elements = this.attachments;
+    this.attachments = [];
+    elements.forEach((element) => {
+      // eslint-disable-next-line no-param-reassign
+      element.srcObject = null;
+    });
+    return elements;
+  }
+
+  // Mesh calls send every track to every peer, so there is no bandwidth to allocate.
+  // eslint-disable-next-line class-methods-use-this
+  setPriority() {}
+
+  // eslint-disable-next-line class-methods-use-this
+  switchOn() {}
+
+  // eslint-disable-next-line class-methods-use-this
+  switchOff() {}
+
+  // eslint-disable-next-line class-methods-use-this
+  setContentPreferences() {}
+}
+
+class LocalPeerTrack extends PeerTrack {
+  constructor(mediaStreamTrack, name) {
+    super(mediaStreamTrack, name);
+    // Each track is sent in its own stream, which identifies the track name on the remote side.
+    this.stream = new MediaStream([mediaStreamTrack]);
+    mediaStreamTrack.addEventListener("ended", () =>
+      this.emit("stopped", this)
+    );
+  }
+
+  enable(enabled = true) {
+    this.mediaStreamTrack.enabled = enabled;
+    this.emit(enabled ? "enabled" : "disabled", this);
+    return this;
+  }
+
+  disable() {
+    return this.enable(false);
+  }
+
+  stop() {
+    this.removeProcessor(this.processor);
+    this.mediaStreamTrack.stop();
+    this.emit("stopped", this);
+    return this;
+  }
+
+  get outputTrack() {
+    return this.processedTrack || this.mediaStreamTrack;
+  }
+
+  // Runs the frames of a video track through a processor, like Twilio's LocalVideoTrack#addProcessor.
+  addProcessor(processor) {
+    this.removeProcessor(this.processor);
+
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = new MediaStream([this.mediaStreamTrack]);
+    video.play().catch((err) => {
+      // Playing is aborted if the processor is removed before it started.
+      if (err.name !== "AbortError") reportError(err);
+    });
+    const canvas = document.createElement("canvas");
+
+    this.processor = processor;
+    this.processorVideo = video;
+    this.processedTrack = canvas
+      .captureStream(PROCESSOR_FRAME_RATE)
+      .getVideoTracks()[0];
+    this.processorInterval = setInterval(() => {
+      if (video.videoWidth > 0) processor.processFrame(video, canvas);
+    }, 1000 / PROCESSOR_FRAME_RATE);
+    this.outputTrackChanged();
+    return this;
+  }
+
+  removeProcessor(processor) {
+    if (!processor || processor !== this.processor) return this;
+
+    clearInterval(this.processorInterval);
+    this.processorVideo.srcObject = null;
+    this.processedTrack.stop();
+    this.processor = null;
+    this.processorVideo = null;
+    this.processedTrack = null;
+    this.outputTrackChanged();
+    return this;
+  }
+
+  outputTrackChanged() {
+    this.attachments.forEach((element) => {
+      // eslint-disable-next-line no-param-reassign
+      element.srcObject = new MediaStream([this.outputTrack]);
+    });
+    this.emit("outputTrackChanged", this);
+  }
+}
+
+class PeerParticipant extends EventEmitter {
+  constructor(identity) {
+    super();
+    this.identity = identity;
+    this.sid = identity;
+    this.tracks = new Map();
+    this.audioTracks = new Map();
+    this.videoTracks = new Map();
+    this.networkQualityLevel = null;
+  }
+
+  addPublication(publication) {
+    this.tracks.set(publication.trackSid, publication);
+    this[`${publication.kind}Tracks`].set(publication.trackSid, publication);
+  }
+
+  removePublication(publication) {
+    this.tracks.delete(publication.trackSid);
+    this[`${publication.kind}Tracks`].delete(publication.trackSid);
+  }
+
+  setNetworkQualityLevel(level) {
+    if (this.networkQualityLevel === level) return;
+
+    this.networkQualityLevel = level;
+    this.emit("networkQualityLevelChanged", level);
+  }
+}
+
+class LocalPeerParticipant extends PeerParticipant {
+  publishTrack(track, { name } = {}) {
+    const localTrack =
+      track instanceof LocalPeerTrack ? track : new LocalPeerTrack(track, name);
+    const publication = {
+      trackSid: localTrack.mediaStreamTrack.id,
+      trackName: localTrack.name,
+      kind: localTrack.kind,
+      track: localTrack,
+    };
+    this.addPublication(publication);
+    this.emit("trackPublished", publication);
+
+    return Promise.resolve(publication);
+  }
+
+  // Accepts the published track as well as its MediaStreamTrack, like Twilio.
+  unpublishTrack(track) {
+    const publication = Array.from(this.tracks.values()).find(
+      (other) => other.track === track || other.track.mediaStreamTrack === track
+    );
+    if (!publication) return null;
+
+    this.removePublication(publication);
+    this.emit("trackUnpublished", publication);
+    return publication;
+  }
+}
+
+class RemotePeerParticipant extends PeerParticipant {
+  subscribe(mediaStreamTrack, stream, name) {
+    const publication = {
+      trackSid: stream.id,
+      trackName: name,
+      kind: mediaStreamTrack.kind,
+      isSubscribed: true,
+      track: new PeerTrack(mediaStreamTrack, name),
+    };
+    this.addPublication(publication);
+    this.emit("trackSubscribed", publication.track, publication);
+
+    stream.addEventListener("removetrack", () => this.unsubscribe(publication));
+  }
+
+  unsubscribe(publication) {
+    if (!this.tracks.has(publication.trackSid)) return;
+
+    this.removePublication(publication);
+    this.emit("trackUnsubscribed", publication.track, publication);
+  }
+
+  unsubscribeAll() {
+    this.tracks.forEach((publication) => this.unsubscribe(publication));
+  }
+}
+
+// A mesh of RTCPeerConnections, one to each other participant. Offers and answers follow the "perfect negotiation" pattern, so either side can renegotiate when tracks are published.
+class PeerRoom extends EventEmitter {
+  constructor(localParticipant, signaling, iceServers) {
+    super();
+    this.localParticipant = localParticipant;
+    this.signaling = signaling;
+    this.iceServers = iceServers;
+    this.participants = new Map();
+    this.peers = new Map();
+    this.state = "connected";
+
+    this.replaceOutputTrack = this.replaceOutputTrack.bind(this);
+    localParticipant.on("trackPublished", (publication) => {
+      publication.track.on("outputTrackChanged", this.replaceOutputTrack);
+      this.peers.forEach((peer) => this.addTrack(peer, publication.track));
+    });
+    localParticipant.on("trackUnpublished", (publication) => {
+      publication.track.off("outputTrackChanged", this.replaceOutputTrack);
+      this.peers.forEach((peer) => this.removeTrack(peer, publication.track));
+    });
+  }
+
+  join() {
+    this.signaling.send(null, { type: "join" });
+    this.networkQualityInterval = setInterval(
+      () => this.updateNetworkQuality().catch(reportError),
+      NETWORK_QUALITY_INTERVAL
+    );
+  }
+
+  disconnect() {
+    if (this.state === "disconnected") return this;
+
+    this.state = "disconnected";
+    clearInterval(this.networkQualityInterval);
+    this.signaling.send(null, { type: "leave" });
+    this.peers.forEach((peer) => peer.connection.close());
+    this.peers.clear();
+    this.emit("disconnected", this);
+    return this;
+  }
+
+  // Stats of mesh calls are not comparable to Twilio's, so they are not reported.
+  // eslint-disable-next-line class-methods-use-this
+  getStats() {
+    return Promise.resolve([]);
+  }
+
+  receiveSignal(from, data) {
+    if (this.state !== "connected") return;
+
+    if (data.type === "join") {
+      // The participant rejoined, e.g. after a page reload.
+      this.removePeer(from);
+      // Creating the peer connection and adding the local tracks starts the negotiation.
+      this.findOrCreatePeer(from);
+    } else if (data.type === "leave") {
+      this.removePeer(from);
+    } else if (data.type === "description") {
+      this.receiveDescription(this.findOrCreatePeer(from), data).catch(
+        reportError
+      );
+    } else if (data.type === "candidate") {
+      this.receiveCandidate(this.findOrCreatePeer(from), data).catch(
+        reportError
+      );
+    }
+  }
+
+  findOrCreatePeer(identity) {
+    if (this.peers.has(identity)) return this.peers.get(identity);
+
+    const participant = new RemotePeerParticipant(identity);
+    const connection = new RTCPeerConnection({ iceServers: this.iceServers });
+    const peer = {
+      identity,
+      participant,
+      connection,
+      senders: new Map(),
+      trackNames: {},
+      pendingCandidates: [],
+      polite: this.localParticipant.identity > identity,
+      makingOffer: false,
+      ignoreOffer: false,
+    };
+    this.peers.set(identity, peer);
+    this.participants.set(identity, participant);
+
+    connection.onnegotiationneeded = () =>
+      this.sendOffer(peer).catch(reportError);
+    connection.onicecandidate = ({ candidate }) => {
+      if (candidate) {
+        this.signaling.send(identity, {
+          type: "candidate",
+          candidate: candidate.toJSON(),
+        });
+      }
+    };
+    connection.ontrack = ({ track, streams: [stream] }) => {
+      participant.subscribe(track, stream, peer.trackNames[stream.id]);
+    };
+    connection.onconnectionstatechange = () => {
+      if (connection.connectionState === "disconnected") {
+        participant.emit("reconnecting");
+      } else if (connection.connectionState === "connected") {
+        participant.emit("reconnected");
+      } else if (connection.connectionState === "failed") {
+        this.removePeer(identity);
+      }
+    };
+
+    this.emit("participantConnected", participant);
+    this.localParticipant.tracks.forEach((publication) =>
+      this.addTrack(peer, publication.track)
+    );
+
+    return peer;
+  }
+
+  removePeer(identity) {
+    const peer = this.peers.get(identity);
+    if (!peer) return;
+
+    peer.connection.close();
+    this.peers.delete(identity);
+    this.participants.delete(identity);
+    peer.participant.unsubscribeAll();
+    this.emit("participantDisconnected", peer.participant);
+  }
+
+  addTrack(peer, track) {
+    peer.senders.set(
+      track,
+      peer.connection.addTrack(track.outputTrack, track.stream)
+    );
+  }
+
+  // Processors change the sent track without renegotiation.
+  replaceOutputTrack(track) {
+    this.peers.forEach((peer) =>
+      peer.senders.get(track)?.replaceTrack(track.outputTrack)
+    );
+  }
+
+  removeTrack(peer, track) {
+    const sender = peer.senders.get(track);
+    if (!sender) return;
+
+    peer.connection.removeTrack(sender);
+    peer.senders.delete(track);
+  }
+
+  async sendOffer(peer) {
+    try {
+      // eslint-disable-next-line no-param-reassign
+      peer.makingOffer = true;
+      await peer.connection.setLocalDescription();
+      this.sendDescription(peer);
+    } finally {
+      // eslint-disable-next-line no-param-reassign
+      peer.makingOffer = false;
+    }
+  }
+
+  sendDescription(peer) {
+    const trackNames = {};
+    this.localParticipant.tracks.forEach((publication) => {
+      trackNames[publication.track.stream.id] = publication.trackName;
+    });
+
+    this.signaling.send(peer.identity, {
+      type: "description",
+      description: peer.connection.localDescription.toJSON(),
+      trackNames,
+    });
+  }
+
+  async receiveDescription(peer, { description, trackNames }) {
+    const { connection } = peer;
+    const offerCollision =
+      description.type === "offer" &&
+      (peer.makingOffer || connection.signalingState !== "stable");
+
+    // eslint-disable-next-line no-param-reassign
+    peer.ignoreOffer = !peer.polite && offerCollision;
+    if (peer.ignoreOffer) return;
+
+    // eslint-disable-next-line no-param-reassign
+    peer.trackNames = trackNames;
+    await connection.setRemoteDescription(description);
+    if (description.type === "offer") {
+      await connection.setLocalDescription();
+      this.sendDescription(peer);
+    }
+
+    const candidates = peer.pendingCandidates;
+    // eslint-disable-next-line no-param-reassign
+    peer.pendingCandidates = [];
+    await Promise.all(
+      candidates.map((candidate) => this.addCandidate(peer, candidate))
+    );
+  }
+
+  // Candidates can overtake the description they belong to, e.g. when a participant rejoined, so they are kept until there is a remote description.
+  async receiveCandidate(peer, { candidate }) {
+    if (!peer.connection.remoteDescription) {
+      if (!peer.ignoreOffer) peer.pendingCandidates.push(candidate);
+      return;
+    }
+
+    await this.addCandidate(peer, candidate);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async addCandidate(peer, candidate) {
+    try {
+      await peer.connection.addIceCandidate(candidate);
+    } catch (err) {
+      // Candidates for an offer that was ignored because of a collision are expected to fail.
+      if (!peer.ignoreOffer) throw err;
+    }
+  }
+
+  async updateNetworkQuality() {
+    const levels = await Promise.all(
+      Array.from(this.peers.values()).map(async (peer) => {
+        const level = networkQualityLevel(await peer.connection.getStats());
+        peer.participant.setNetworkQualityLevel(level);
+        return level;
+      })
+    );
+    if (levels.length > 0) {
+      this.localParticipant.setNetworkQualityLevel(Math.min(...levels));
+    }
+  }
+}
+
+// Peer-to-peer mesh calls, with the same interface the videochat controller uses of Twilio Video.
+//
+// Signaling messages are sent through `signaling.send(to, data)`, where `to` is null for messages to everyone, and have to be passed to `receiveSignal()` on the other side. This makes it possible to connect two providers in the same page directly, as in test/videochat/peer_provider_test.js:
+//
+//   const a = new PeerProvider({ identity: "a", signaling: { send: (to, data) => b.receiveSignal("a", to, data) } });
+//   const b = new PeerProvider({ identity: "b", signaling: { send: (to, data) => a.receiveSignal("b", to, data) } });
+export default class PeerProvider {
+  constructor({ identity, signaling, iceServers = [] }) {
+    this.identity = identity;
+    this.signaling = signaling;
+    this.iceServers = iceServers;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  get isSupported() {
+    return !!window.RTCPeerConnection && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async createLocalTracks({ audio, video }) {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio, video });
+    return stream.getTracks().map((track) => new LocalPeerTrack(track));
+  }
+
+  connect(token, { tracks = [] } = {}) {
+    const localParticipant = new LocalPeerParticipant(this.identity);
+    tracks.forEach((track) => localParticipant.publishTrack(track));
+
+    this.room = new PeerRoom(localParticipant, this.signaling, this.iceServers);
+    this.room.once("disconnected", () => {
+      this.room = null;
+    });
+    this.room.join();
+
+    return Promise.resolve(this.room);
+  }
+
+  receiveSignal(from, to, data) {
+    if (from === this.identity || (to && to !== this.identity)) return;
+
+    this.room?.receiveSignal(from, data);
+  }
+}
+
+export { LocalPeerTrack, LocalPeerParticipant, RemotePeerParticipant };
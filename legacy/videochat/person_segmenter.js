@@ -0,0 +1,26 @@
+import { SelfieSegmentation } from "@mediapipe/selfie_segmentation";
+
+// Separates the person from the background with MediaPipe's selfie segmentation model, which runs in WebAssembly and WebGL. The model and its runtime come with the @mediapipe/selfie_segmentation package, and the app serves its files from assetsPath, so nothing is fetched from other hosts. One segmenter is shared by all processors, as each one loads the runtime.
+export default class PersonSegmenter {
+  constructor(assetsPath) {
+    this.model = new SelfieSegmentation({
+      locateFile: (file) => `${assetsPath}/${file}`,
+    });
+    // The landscape model is the faster one, made for video calls.
+    this.model.setOptions({ modelSelection: 1 });
+    this.model.onResults((results) => this.onMask?.(results.segmentationMask));
+    this.busy = false;
+  }
+
+  // Calls onMask with the mask of the image, which is opaque where the person is. The mask is only valid during the call. One image is segmented at a time.
+  async segment(image, onMask) {
+    this.busy = true;
+    this.onMask = onMask;
+    try {
+      await this.model.send({ image });
+    } finally {
+      this.busy = false;
+      this.onMask = null;
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Videochat preferences of the user, persisted in localStorage. Storage can be disabled or full, e.g. in private browsing, in which case preferences only last until the page is left.
+export default class Preferences {
+  constructor(key) {
+    this.key = key;
+    this.values = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.key)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  get(name) {
+    return this.values[name];
+  }
+
+  set(name, value) {
+    this.values = { ...this.values, [name]: value };
+    try {
+      window.localStorage.setItem(this.key, JSON.stringify(this.values));
+    } catch (err) {
+      // Keep the preference for this page only.
+    }
+  }
+
+  reset() {
+    this.values = {};
+    try {
+      window.localStorage.removeItem(this.key);
+    } catch (err) {
+      // Nothing was persisted.
+    }
+  }
+}
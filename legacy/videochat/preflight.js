@@ -0,0 +1,42 @@
+// Thresholds for the averages of a preflight report, as reported by Twilio's runPreflight(): rtt in ms, jitter in s, packet loss in % and bitrates in kbps.
+const THRESHOLDS = {
+  rtt: { warn: 200, fail: 400 },
+  jitter: { warn: 0.03, fail: 0.1 },
+  packetLoss: { warn: 1, fail: 5 },
+  outgoingBitrate: { warn: 300, fail: 100, minimum: true },
+  incomingBitrate: { warn: 300, fail: 100, minimum: true },
+};
+
+const STATUSES = ["pass", "warn", "fail"];
+
+function evaluate(value, { warn, fail, minimum }) {
+  if (minimum) {
+    if (value < fail) return "fail";
+    if (value < warn) return "warn";
+  } else {
+    if (value > fail) return "fail";
+    if (value > warn) return "warn";
+  }
+  return "pass";
+}
+
+// Rates the averages of a preflight report as pass / warn / fail. The overall status is the worst of all metrics.
+export default function evaluatePreflightReport(report) {
+  const results = Object.keys(THRESHOLDS)
+    .filter((metric) => report.stats[metric])
+    .map((metric) => {
+      const value = report.stats[metric].average;
+      return {
+        metric,
+        value,
+        status: evaluate(value, THRESHOLDS[metric]),
+      };
+    });
+
+  const status =
+    STATUSES[
+      Math.max(0, ...results.map((result) => STATUSES.indexOf(result.status)))
+    ];
+
+  return { status, results };
+}
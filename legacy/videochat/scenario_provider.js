@@ -0,0 +1,183 @@
+import EventEmitter from "./event_emitter";
+import {
+  LocalPeerTrack,
+  LocalPeerParticipant,
+  RemotePeerParticipant,
+} from "./peer_provider";
+
+const FRAME_RATE = 15;
+
+function scenarioError(code) {
+  return { code, message: `Scenario error ${code}` };
+}
+
+// Draws an animated placeholder with the given label, so the video visibly plays.
+function createCanvasVideo(label) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 640;
+  canvas.height = 360;
+  const context = canvas.getContext("2d");
+  const hue =
+    Array.from(label).reduce((sum, char) => sum + char.charCodeAt(0), 0) % 360;
+
+  let frame = 0;
+  const interval = setInterval(() => {
+    frame += 1;
+    context.fillStyle = `hsl(${hue}, 50%, 40%)`;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = "#fff";
+    context.font = "32px sans-serif";
+    context.fillText(label, 24, 56);
+    context.fillRect((frame * 8) % canvas.width, canvas.height - 12, 48, 12);
+  }, 1000 / FRAME_RATE);
+
+  const stream = canvas.captureStream(FRAME_RATE);
+  return {
+    stream,
+    stop: () => {
+      clearInterval(interval);
+      stream.getTracks().forEach((track) => track.stop());
+    },
+  };
+}
+
+class ScenarioRoom extends EventEmitter {
+  constructor(localParticipant, steps, receiveChannelEvent) {
+    super();
+    this.localParticipant = localParticipant;
+    this.steps = steps;
+    this.receiveChannelEvent = receiveChannelEvent;
+    this.participants = new Map();
+    this.videos = new Map();
+    this.timeouts = [];
+  }
+
+  start() {
+    this.timeouts = this.steps.map((step) =>
+      setTimeout(() => this.runStep(step), step.at || 0)
+    );
+  }
+
+  runStep(step) {
+    const participant = this.participants.get(step.identity);
+
+    if (step.type === "participantConnected") {
+      this.connectParticipant(step.identity);
+    } else if (step.type === "participantDisconnected") {
+      this.disconnectParticipant(step.identity);
+    } else if (step.type === "participantReconnecting") {
+      participant?.emit("reconnecting");
+    } else if (step.type === "participantReconnected") {
+      participant?.emit("reconnected");
+    } else if (step.type === "networkQualityLevelChanged") {
+      (participant || this.localParticipant).setNetworkQualityLevel(step.level);
+    } else if (step.type === "dominantSpeakerChanged") {
+      this.emit("dominantSpeakerChanged", participant || null);
+    } else if (step.type === "reconnecting") {
+      this.emit("reconnecting", scenarioError(step.error));
+    } else if (step.type === "reconnected") {
+      this.emit("reconnected");
+    } else if (step.type === "channel") {
+      this.receiveChannelEvent(step.event);
+    } else if (step.type === "disconnected") {
+      this.disconnect(step.error && scenarioError(step.error));
+    }
+  }
+
+  connectParticipant(identity) {
+    if (this.participants.has(identity)) return;
+
+    const participant = new RemotePeerParticipant(identity);
+    this.participants.set(identity, participant);
+    this.emit("participantConnected", participant);
+
+    const video = createCanvasVideo(identity);
+    this.videos.set(identity, video);
+    participant.subscribe(
+      video.stream.getVideoTracks()[0],
+      video.stream,
+      "camera"
+    );
+  }
+
+  disconnectParticipant(identity) {
+    const participant = this.participants.get(identity);
+    if (!participant) return;
+
+    participant.unsubscribeAll();
+    this.videos.get(identity).stop();
+    this.videos.delete(identity);
+    this.participants.delete(identity);
+    this.emit("participantDisconnected", participant);
+  }
+
+  disconnect(error) {
+    this.timeouts.forEach(clearTimeout);
+    this.videos.forEach((video) => video.stop());
+    this.videos.clear();
+    this.emit("disconnected", this, error);
+    return this;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getStats() {
+    return Promise.resolve([]);
+  }
+}
+
+// Simulates a call from a timed JSON script, e.g. to reproduce states like "3 participants, one with bad signal, recording running" without real calls.
+//
+// The script has the form { "connect_error": 53106, "steps": [{ "at": 1000, "type": "participantConnected", "identity": "..." }, ...] }, with `at` in ms after connecting. Besides the room and participant events the controller listens to, a step of type "channel" passes its `event` to the controller as if it was received over the VideochatChannel.
+export default class ScenarioProvider {
+  constructor(url, identity, receiveChannelEvent) {
+    this.identity = identity;
+    this.receiveChannelEvent = receiveChannelEvent;
+    this.scenario = fetch(url).then((response) => response.json());
+    // Loading errors are thrown when connecting, so they are shown like connection errors.
+    this.scenario.catch(() => {});
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  get isSupported() {
+    return !!HTMLCanvasElement.prototype.captureStream;
+  }
+
+  // Local tracks are fake as well, so scenarios can be run without camera and microphone. What generates them is stopped with the track.
+  async createLocalTracks({ audio, video }) {
+    const tracks = [];
+    if (audio) {
+      const context = new AudioContext();
+      const [track] = context
+        .createMediaStreamDestination()
+        .stream.getAudioTracks();
+      const localTrack = new LocalPeerTrack(track);
+      localTrack.once("stopped", () => context.close());
+      tracks.push(localTrack);
+    }
+    if (video) {
+      const canvasVideo = createCanvasVideo(this.identity);
+      const localTrack = new LocalPeerTrack(
+        canvasVideo.stream.getVideoTracks()[0]
+      );
+      localTrack.once("stopped", canvasVideo.stop);
+      tracks.push(localTrack);
+    }
+    return tracks;
+  }
+
+  async connect(token, { tracks = [] } = {}) {
+    const scenario = await this.scenario;
+    if (scenario.connect_error) throw scenarioError(scenario.connect_error);
+
+    const localParticipant = new LocalPeerParticipant(this.identity);
+    tracks.forEach((track) => localParticipant.publishTrack(track));
+
+    const room = new ScenarioRoom(
+      localParticipant,
+      scenario.steps || [],
+      this.receiveChannelEvent
+    );
+    room.start();
+    return room;
+  }
+}
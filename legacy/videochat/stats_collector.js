@@ -0,0 +1,123 @@
+const { _ } = window;
+
+const SAMPLE_INTERVAL = 5000;
+
+const TRACK_STATS = {
+  localAudioTrackStats: { kind: "audio", direction: "local" },
+  localVideoTrackStats: { kind: "video", direction: "local" },
+  remoteAudioTrackStats: { kind: "audio", direction: "remote" },
+  remoteVideoTrackStats: { kind: "video", direction: "remote" },
+};
+
+// Samples room.getStats() while connected and aggregates bitrate, packet loss, frame rate, resolution and codec per track.
+export default class StatsCollector {
+  constructor(room) {
+    this.room = room;
+    this.previousSamples = {};
+    this.tracks = {};
+  }
+
+  start() {
+    this.interval = setInterval(this.sample.bind(this), SAMPLE_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+  }
+
+  sample() {
+    this.room
+      .getStats()
+      .then((reports) => {
+        reports.forEach((report) => {
+          Object.keys(TRACK_STATS).forEach((key) => {
+            (report[key] || []).forEach((stats) =>
+              this.addSample(stats, TRACK_STATS[key])
+            );
+          });
+        });
+      })
+      // Stats are best effort, e.g. they are not available while the room disconnects.
+      .catch(() => {});
+  }
+
+  addSample(stats, { kind, direction }) {
+    const current = {
+      timestamp: stats.timestamp,
+      bytes: direction === "local" ? stats.bytesSent : stats.bytesReceived,
+      packets:
+        direction === "local" ? stats.packetsSent : stats.packetsReceived,
+      packetsLost: stats.packetsLost || 0,
+    };
+    const previous = this.previousSamples[stats.trackSid];
+    this.previousSamples[stats.trackSid] = current;
+
+    // Rates can only be calculated from two consecutive samples.
+    if (!previous) return;
+    const seconds = (current.timestamp - previous.timestamp) / 1000;
+    if (seconds <= 0) return;
+
+    if (!this.tracks[stats.trackSid]) {
+      this.tracks[stats.trackSid] = {
+        kind,
+        direction,
+        identity: this.findIdentity(stats.trackSid, direction),
+        samples: 0,
+        bitrate: 0,
+        frameRate: 0,
+        packets: 0,
+        packetsLost: 0,
+      };
+    }
+    const track = this.tracks[stats.trackSid];
+
+    track.samples += 1;
+    track.codec = stats.codec;
+    track.bitrate += ((current.bytes - previous.bytes) * 8) / seconds / 1000;
+    track.packets += current.packets - previous.packets;
+    track.packetsLost += current.packetsLost - previous.packetsLost;
+    if (kind === "video") {
+      track.frameRate += stats.frameRate || 0;
+      track.width = stats.dimensions?.width;
+      track.height = stats.dimensions?.height;
+    }
+  }
+
+  findIdentity(trackSid, direction) {
+    if (direction === "local") return this.room.localParticipant.identity;
+
+    const participant = Array.from(this.room.participants.values()).find(
+      (remoteParticipant) => remoteParticipant.tracks.has(trackSid)
+    );
+    return participant?.identity;
+  }
+
+  // Returns the averages since the last call, or null if there were no samples.
+  takeSummary() {
+    const tracks = Object.keys(this.tracks).map((sid) => {
+      const track = this.tracks[sid];
+      const totalPackets = track.packets + track.packetsLost;
+      return {
+        sid,
+        identity: track.identity,
+        kind: track.kind,
+        direction: track.direction,
+        codec: track.codec,
+        bitrate: Math.round(track.bitrate / track.samples),
+        packet_loss:
+          totalPackets > 0
+            ? _.round((100 * track.packetsLost) / totalPackets, 1)
+            : 0,
+        frame_rate:
+          track.kind === "video"
+            ? _.round(track.frameRate / track.samples, 1)
+            : undefined,
+        width: track.width,
+        height: track.height,
+      };
+    });
+    this.tracks = {};
+
+    return tracks.length > 0 ? { tracks } : null;
+  }
+}
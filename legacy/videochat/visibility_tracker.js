@@ -0,0 +1,68 @@
+// Reports whether video containers are visible and how large they are rendered, so video tracks can be switched off or requested in a matching resolution. Containers count as invisible while the tab is hidden.
+export default class VisibilityTracker {
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.views = new Map();
+    this.visibilityChanged = this.visibilityChanged.bind(this);
+  }
+
+  start() {
+    this.intersectionObserver = new IntersectionObserver((entries) =>
+      entries.forEach((entry) =>
+        this.update(entry.target, { intersecting: entry.isIntersecting })
+      )
+    );
+    this.resizeObserver = new ResizeObserver((entries) =>
+      entries.forEach((entry) =>
+        this.update(entry.target, {
+          width: entry.contentRect.width,
+          height: entry.contentRect.height,
+        })
+      )
+    );
+    document.addEventListener("visibilitychange", this.visibilityChanged);
+  }
+
+  stop() {
+    this.intersectionObserver?.disconnect();
+    this.resizeObserver?.disconnect();
+    document.removeEventListener("visibilitychange", this.visibilityChanged);
+    this.views.clear();
+  }
+
+  observe(element) {
+    this.views.set(element, { intersecting: false, width: 0, height: 0 });
+    this.intersectionObserver.observe(element);
+    this.resizeObserver.observe(element);
+  }
+
+  unobserve(element) {
+    this.views.delete(element);
+    this.intersectionObserver.unobserve(element);
+    this.resizeObserver.unobserve(element);
+  }
+
+  update(element, changes) {
+    const view = this.views.get(element);
+    if (!view) return;
+
+    Object.assign(view, changes);
+    this.report(element);
+  }
+
+  // Reports the last known view again, e.g. after a track was added to the element.
+  report(element) {
+    const view = this.views.get(element);
+    if (!view) return;
+
+    this.onChange(element, {
+      visible: view.intersecting && !document.hidden && view.width > 0,
+      width: Math.round(view.width),
+      height: Math.round(view.height),
+    });
+  }
+
+  visibilityChanged() {
+    this.views.forEach((view, element) => this.report(element));
+  }
+}
@@ -2,21 +2,62 @@ import { Controller } from "stimulus";
 import TwilioVideo from "twilio-video";
 import { createConsumer } from "@rails/actioncable";
 import DemoProvider from "./videochat/demo_provider";
+import AudioLevelMeter from "./videochat/audio_level_meter";
+import DemoPreflightTest from "./videochat/demo_preflight";
+import evaluatePreflightReport from "./videochat/preflight";
+import StatsCollector from "./videochat/stats_collector";
+import PeerProvider from "./videochat/peer_provider";
+import ScenarioProvider from "./videochat/scenario_provider";
+import CallStore from "./videochat/call_store";
+import galleryGrid from "./videochat/gallery_layout";
+import VisibilityTracker from "./videochat/visibility_tracker";
+import LocalRecorder from "./videochat/local_recorder";
+import BackgroundProcessor from "./videochat/background_processor";
+import PersonSegmenter from "./videochat/person_segmenter";
+import NoiseGate from "./videochat/noise_gate";
+import Preferences from "./videochat/preferences";
+import mediaStateTransition, {
+  applyToTracks,
+  mediaStateActions,
+} from "./videochat/media_state";
 
 const { _, I18n, Rollbar } = window;
 
 const PROVIDERS = {
   twilio: () => TwilioVideo,
-  demo: (controller) =>
-    new DemoProvider(
-      controller.participantTargets.map((el) => el.dataset.identity),
-      controller.data.get("local-identity")
-    ),
+  demo: (controller) => {
+    const provider = controller.data.has("scenario-url")
+      ? new ScenarioProvider(
+          controller.data.get("scenario-url"),
+          controller.data.get("local-identity"),
+          (event) => controller.receiveChannelEvent(event)
+        )
+      : new DemoProvider(
+          controller.participantTargets.map((el) => el.dataset.identity),
+          controller.data.get("local-identity")
+        );
+    // Same interface as TwilioVideo.runPreflight(), with a report scripted through a data attribute.
+    provider.runPreflight = () =>
+      new DemoPreflightTest(
+        JSON.parse(controller.data.get("preflight-report") || "null")
+      );
+    return provider;
+  },
+  // Signaling for peer-to-peer calls goes through the VideochatChannel.
+  p2p: (controller) =>
+    new PeerProvider({
+      identity: controller.data.get("local-identity"),
+      iceServers: JSON.parse(controller.data.get("ice-servers") || "[]"),
+      signaling: {
+        send: (to, data) => controller.channel.perform("signal", { to, data }),
+      },
+    }),
 };
 
 const ROOM_NOT_CREATABLE_ERROR = 53103;
 const ROOM_NOT_FOUND_ERROR = 53106;
 const ROOM_COMPLETED_ERROR = 53118;
+const PARTICIPANT_DUPLICATE_IDENTITY_ERROR = 53205;
 const PARTICIPANTS_STATES = [
   "pending",
   "accepted",
@@ -26,6 +67,119 @@ const PARTICIPANTS_STATES = [
 ];
 
 const BAD_SIGNAL_THRESHOLD = 3;
+const GOOD_SIGNAL_THRESHOLD = 4;
+// How long the network quality has to stay good in audio-only mode before we offer to turn video back on.
+const VIDEO_RESTORE_DELAY = 30000;
+
+const NOTICE_DURATION = 8000;
+
+// The dominant speaker has to keep talking this long before the main view follows, so short interjections don't cause flicker.
+const FOLLOW_SPEAKER_DELAY = 2000;
+
+const STATS_REPORT_INTERVAL = 60000;
+
+const MAX_REJOIN_ATTEMPTS = 3;
+const REJOIN_DELAY = 1000;
+
+const VIDEO_CONSTRAINTS = { width: 1280, height: 720 };
+// Browser audio processing, which can be changed per user and with the audio-processing data attribute.
+const AUDIO_PROCESSING = {
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+};
+const PUSH_TO_TALK_KEY = "Space";
+
+const REACTIONS = {
+  thumbs_up: "\u{1F44D}",
+  clap: "\u{1F44F}",
+  heart: "\u{2764}\u{FE0F}",
+  laugh: "\u{1F602}",
+  surprised: "\u{1F62E}",
+};
+const REACTION_DURATION = 3000;
+const GALLERY_PAGE_SIZE = 9;
+
+// Levels below this are regarded as silence. If the microphone stays silent for longer than the delay, the user is warned.
+const SILENCE_THRESHOLD = 0.02;
+const SILENCE_WARNING_DELAY = 5000;
+const TEST_SOUND_DURATION = 1;
+const RECORDING_CUE_DURATION = 0.6;
+// If the recording has not started by then, e.g. because the server failed to start it, it can be requested again.
+const RECORDING_REQUEST_TIMEOUT = 30000;
+
+// What each answer to the recording consent prompt allows to be recorded.
+const RECORDING_CONSENTS = {
+  all: { audio: true, video: true },
+  audio: { audio: true, video: false },
+  video: { audio: false, video: true },
+  none: { audio: false, video: false },
+};
+
+const SCREEN_TRACK_NAME = "screen";
+
+// State slices rendered as state classes on the window target.
+const WINDOW_STATE_KEYS = [
+  "connected",
+  "connecting",
+  "reconnecting",
+  "muted",
+  "paused",
+  "recording",
+  "recordingRequested",
+  "recordingConsentRequested",
+  "localRecording",
+  "backgroundEffect",
+  "noiseGate",
+  "pushToTalk",
+  "raisedHands",
+  "errorMessage",
+  "mainIdentity",
+  "badSignal",
+  "hideBadSignalWarning",
+  "screenSharing",
+  "chatOpen",
+  "locked",
+  "waiting",
+  "denied",
+  "followSpeaker",
+  "noAudio",
+  "preflightRunning",
+  "preflightStatus",
+  "audioOnly",
+  "videoRestoreOffered",
+  "participants",
+  "selectedIdentities",
+  "galleryPage",
+];
+
+// Commands host pages can send with a `videochat:command` event, e.g. `{ detail: { command: "mute" } }`, mapped to the action they run.
+const COMMANDS = {
+  join: "connectChat",
+  leave: "disconnectChat",
+  mute: "mute",
+  unmute: "unmute",
+  pause: "pause",
+  unpause: "unpause",
+  "start-screen-share": "startScreenShare",
+  "stop-screen-share": "stopScreenShare",
+};
+
+// State slices that change where video containers are rendered, or which priority their tracks have. Of the participants, only who is connected changes the layout, see connectedIdentities().
+const LAYOUT_STATE_KEYS = [
+  "connected",
+  "screenShares",
+  "selectedIdentities",
+  "mainIdentity",
+  "dominantSpeakerIdentity",
+  "galleryPage",
+];
+
+function connectedIdentities(state) {
+  return state.participants
+    .filter((participant) => participant.state === "connected")
+    .map((participant) => participant.identity);
+}
 
 export default class extends Controller {
   static targets = [
@@ -38,6 +192,18 @@ export default class extends Controller {
     "unsupportedBrowser",
     "unsupportedIOSBrowser",
     "participantList",
+    "cameraSelect",
+    "microphoneSelect",
+    "speakerSelect",
+    "audioLevel",
+    "preflightResults",
+    "chatMessages",
+    "chatInput",
+    "chatUnreadCount",
+    "notice",
+    "galleryPageLabel",
+    "recordingConsent",
+    "preference",
   ];
 
   initialize() {
@@ -53,28 +219,44 @@ export default class extends Controller {
     // iOS Safari does not emit the "beforeunload" event on window. Use "pagehide" instead.
     window.addEventListener("pagehide", this.pageHide.bind(this));
 
+    this.layoutGallery = _.debounce(this.renderGalleryGrid.bind(this), 100);
+    window.addEventListener("resize", this.layoutGallery);
+
+    window.addEventListener("keydown", this.pushToTalkKeyDown.bind(this));
+    window.addEventListener("keyup", this.pushToTalkKeyUp.bind(this));
+    // The key is released outside of the page if the window loses focus while talking.
+    window.addEventListener("blur", () => this.stopTalking());
+
     this.provider = PROVIDERS[this.data.get("provider")](this);
+    this.followDominantSpeaker = _.debounce(
+      () => this.store.showDominantSpeaker(),
+      FOLLOW_SPEAKER_DELAY
+    );
+  }
+
+  get state() {
+    return this.store.state;
   }
 
   pageHide() {
     if (this.isConnected()) {
+      const stats = this.statsCollector?.takeSummary();
       navigator.sendBeacon(
-        `${this.data.get("url")}/disconnect?ptoken=${this.data.get("token")}`
+        `${this.data.get("url")}/disconnect?ptoken=${this.data.get("token")}`,
+        stats
+          ? new Blob([JSON.stringify({ stats })], { type: "application/json" })
+          : undefined
       );
       this.room.disconnect();
     }
   }
 
   set error(error) {
-    if (error) {
-      this.errorMessage = I18n.t(`twilio_error_${error.code}`) || error.message;
-    } else {
-      this.errorMessage = null;
-    }
-    if (this.errorMessage) {
-      this.errorTarget.textContent = this.errorMessage;
-    }
-    this.updateStateClasses();
+    this.store.setError(error ? this.errorMessageFor(error) : null);
+  }
+
+  errorMessageFor(error) {
+    return I18n.t(`twilio_error_${error.code}`) || error.message;
   }
 
   isConnected() {
@@ -83,19 +265,53 @@ export default class extends Controller {
 
   reset() {
     this.room = null;
-    this.recording = false;
-    this.connecting = false;
-    this.mainIdentity = null;
-    this.badSignal = false;
-    this.hideBadSignalWarning = false;
-    this.selectedIdentities = [];
+    this.store.resetCall();
+    if (this.preferences.get("dismissedWarnings")?.includes("bad-signal")) {
+      this.store.dismissBadSignal();
+    }
   }
 
   connect() {
     if (this.provider.isSupported) {
-      this.participants = JSON.parse(this.data.get("participants"));
-      this.muted = false;
-      this.paused = false;
+      // Preferences are kept per user, as several users may share a browser.
+      this.preferences = new Preferences(
+        this.data.get("preferences-key") ||
+          `videochat-preferences-${this.data.get("local-identity")}`
+      );
+      const followSpeaker = this.preferences.get("followSpeaker");
+      this.store = new CallStore({
+        localIdentity: this.data.get("local-identity"),
+        participants: JSON.parse(this.data.get("participants")),
+        autoselect: this.data.get("autoselect") === "true",
+        locked: this.data.get("locked") === "true",
+        followSpeaker:
+          followSpeaker === undefined
+            ? this.data.get("follow-speaker") === "true"
+            : followSpeaker,
+        raisedHands: JSON.parse(this.data.get("raised-hands") || "[]"),
+        galleryPageSize:
+          parseInt(this.data.get("gallery-page-size"), 10) || GALLERY_PAGE_SIZE,
+      });
+      this.store.subscribe(this.render.bind(this));
+      // DOM and provider objects of the participants, by identity.
+      this.videoContainers = new Map();
+      this.screenShareContainers = new Map();
+      this.remoteParticipants = new Map();
+      this.hiddenGalleryIdentities = new Set();
+      this.rejoinAttempts = 0;
+      this.messages = [];
+      this.localTracks = [];
+      this.lostDeviceKinds = new Set();
+      this.recoveringDeviceKinds = new Set();
+      // In manual mode we switch off remote video ourselves based on the visibility of its container, instead of leaving it to the provider.
+      this.manualTrackSwitchOff =
+        this.data.get("track-switch-off") === "manual";
+      this.audioProcessing = {
+        ...AUDIO_PROCESSING,
+        ...JSON.parse(this.data.get("audio-processing") || "{}"),
+      };
+      this.pushToTalkKey =
+        this.data.get("push-to-talk-key") || PUSH_TO_TALK_KEY;
       this.reset();
 
       this.setupWindow();
@@ -110,35 +326,404 @@ export default class extends Controller {
     if (!this.hasWindowTarget) return;
 
     this.updateUI();
+    this.orderParticipantList();
+    this.renderPreferenceInputs();
 
     // Not all browsers (notably Safari on iPhone) support fullscreen API, so hide it for those browsers.
     if (this.windowTarget.requestFullscreen) {
       this.windowTarget.classList.add("videochat-fullscreen-support");
     }
+    if (navigator.mediaDevices?.getDisplayMedia) {
+      this.windowTarget.classList.add("videochat-screen-share-support");
+    }
+    if (this.provider.runPreflight) {
+      this.windowTarget.classList.add("videochat-preflight-support");
+    }
+    if ("setSinkId" in HTMLMediaElement.prototype) {
+      this.windowTarget.classList.add("videochat-speaker-select-support");
+    }
+    if (LocalRecorder.isSupported) {
+      this.windowTarget.classList.add("videochat-local-recording-support");
+    }
+    if (HTMLCanvasElement.prototype.captureStream) {
+      this.windowTarget.classList.add("videochat-background-effect-support");
+    }
 
-    this.createPreview().catch((err) => {
-      // adapted from https://blog.addpipe.com/common-getusermedia-errors/
-      if (err.name === "NotFoundError" || err.name === "DevicesNotFoundError") {
-        this.error = { message: I18n.t("videochat_error_not_found") };
-      } else if (
-        err.name === "NotReadableError" ||
-        err.name === "TrackStartError"
-      ) {
-        this.error = { message: I18n.t("videochat_error_in_use") };
-      } else if (
-        err.name === "NotAllowedError" ||
-        err.name === "PermissionDeniedError"
-      ) {
-        this.error = {
-          message: I18n.t("videochat_error_permission_denied"),
-        };
-      } else {
-        Rollbar?.error(err);
-        this.error = err;
+    this.speakerDeviceId = this.preferences.get("speakerDeviceId");
+    this.createPreview()
+      .then(() => {
+        if (this.preferences.get("joinMuted")) this.mute();
+        if (this.preferences.get("joinPaused")) this.pause();
+        this.startAudioCheck();
+      })
+      .catch(this.handleMediaError.bind(this))
+      // Devices are also listed if the preview failed, e.g. because the default camera is in use, so another one can be chosen.
+      .then(() => this.setupDevices())
+      .catch((err) => Rollbar?.error(err));
+  }
+
+  handleMediaError(err) {
+    const message = this.mediaErrorMessage(err);
+    if (message) {
+      this.error = { message };
+    } else {
+      Rollbar?.error(err);
+      this.error = err;
+    }
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  mediaErrorMessage(err) {
+    // adapted from https://blog.addpipe.com/common-getusermedia-errors/
+    if (err.name === "NotFoundError" || err.name === "DevicesNotFoundError") {
+      return I18n.t("videochat_error_not_found");
+    }
+    if (err.name === "NotReadableError" || err.name === "TrackStartError") {
+      return I18n.t("videochat_error_in_use");
+    }
+    if (
+      err.name === "NotAllowedError" ||
+      err.name === "PermissionDeniedError"
+    ) {
+      return I18n.t("videochat_error_permission_denied");
+    }
+    return null;
+  }
+
+  async setupDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return;
+
+    navigator.mediaDevices.addEventListener("devicechange", () => {
+      this.updateDeviceSelects().catch((err) => Rollbar?.error(err));
+      this.recoverLostDevices();
+      // Switches back to the preferred speaker once it is plugged in again.
+      this.applySpeakers();
+    });
+    await this.updateDeviceSelects();
+  }
+
+  // Local tracks end when their device is unplugged, or taken over or revoked by the system.
+  watchLocalTrack(track) {
+    track.mediaStreamTrack?.addEventListener("ended", () => {
+      if (this.localTracks.includes(track)) this.recoverLocalTrack(track);
+    });
+  }
+
+  // Not all browsers emit "ended" when a device is unplugged, so we also check the tracks whenever the devices change. Devices that were lost without a replacement are tried again, e.g. when a headset is plugged back in.
+  recoverLostDevices() {
+    ["audio", "video"].forEach((kind) => {
+      const track = this.getLocalTrack(kind);
+      if (track?.mediaStreamTrack?.readyState === "ended") {
+        this.recoverLocalTrack(track);
+      } else if (!track && this.lostDeviceKinds.has(kind)) {
+        this.recoverLocalTrack(null, kind);
+      }
+    });
+  }
+
+  // Switches to another device of the same kind, or mutes / pauses if there is none left.
+  async recoverLocalTrack(lostTrack, kind = lostTrack.kind) {
+    if (this.recoveringDeviceKinds.has(kind)) return;
+    // Leaving audio-only mode turns the camera on again with any device.
+    if (kind === "video" && this.state.audioOnly) return;
+
+    this.recoveringDeviceKinds.add(kind);
+    const lostDeviceId = this.getDeviceId(lostTrack);
+    let error;
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      const candidates = devices.filter(
+        (device) =>
+          device.kind === `${kind}input` &&
+          device.deviceId &&
+          device.deviceId !== lostDeviceId
+      );
+      // The system default follows the devices that are plugged in, so it is the best guess for a replacement.
+      const device =
+        candidates.find((candidate) => candidate.deviceId === "default") ||
+        candidates[0];
+
+      if (device) {
+        const [newTrack] = await this.provider.createLocalTracks({
+          audio: kind === "audio" && this.audioConstraints(device.deviceId),
+          video: kind === "video" && {
+            ...VIDEO_CONSTRAINTS,
+            deviceId: { exact: device.deviceId },
+          },
+        });
+        this.replaceLocalTrack(lostTrack, newTrack);
+        this.lostDeviceKinds.delete(kind);
+        this.showNotice(
+          I18n.t(`videochat_notice_${kind}_switched`, { name: device.label })
+        );
+        this.updateDeviceSelects().catch((err) => Rollbar?.error(err));
+        return;
       }
+    } catch (err) {
+      error = err;
+    } finally {
+      this.recoveringDeviceKinds.delete(kind);
+    }
+
+    if (lostTrack) this.removeLocalTrack(lostTrack);
+    this.lostDeviceKinds.add(kind);
+    if (kind === "audio" && !this.state.muted) this.mute();
+    if (kind === "video" && !this.state.paused) this.pause();
+    this.showNotice(
+      (error && this.mediaErrorMessage(error)) ||
+        I18n.t(`videochat_notice_${kind}_lost`)
+    );
+    this.updateDeviceSelects().catch((err) => Rollbar?.error(err));
+  }
+
+  removeLocalTrack(track) {
+    this.localTracks = this.localTracks.filter((other) => other !== track);
+    if (this.isConnected()) this.room.localParticipant.unpublishTrack(track);
+    track.detach().forEach((element) => element.remove());
+    track.stop();
+    if (track.kind === "audio") {
+      this.stopAudioCheck();
+      this.stopNoiseGate();
+    }
+  }
+
+  // Device labels are only available after the user granted media permissions, so this has to run after createPreview(). Without labels, devices are numbered.
+  async updateDeviceSelects() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    if (this.hasCameraSelectTarget) {
+      this.renderDeviceSelect(
+        this.cameraSelectTarget,
+        devices.filter((device) => device.kind === "videoinput"),
+        this.getDeviceId(this.getLocalTrack("video"))
+      );
+    }
+    if (this.hasMicrophoneSelectTarget) {
+      this.renderDeviceSelect(
+        this.microphoneSelectTarget,
+        devices.filter((device) => device.kind === "audioinput"),
+        this.getDeviceId(this.getLocalTrack("audio"))
+      );
+    }
+    if (this.hasSpeakerSelectTarget) {
+      const speakers = devices.filter(
+        (device) => device.kind === "audiooutput"
+      );
+      // The preferred speaker is kept while it is unplugged, the default speaker is used meanwhile.
+      this.renderDeviceSelect(
+        this.speakerSelectTarget,
+        speakers,
+        speakers.some((device) => device.deviceId === this.speakerDeviceId)
+          ? this.speakerDeviceId
+          : "default"
+      );
+    }
+  }
+
+  renderDeviceSelect(select, devices, currentDeviceId) {
+    // eslint-disable-next-line no-param-reassign
+    select.innerHTML = "";
+    devices.forEach((device, index) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.textContent =
+        device.label ||
+        I18n.t(`videochat_device_${device.kind}`, { number: index + 1 });
+      option.selected = device.deviceId === currentDeviceId;
+      select.appendChild(option);
+    });
+    // eslint-disable-next-line no-param-reassign
+    select.disabled = devices.length <= 1;
+  }
+
+  getDeviceId(track) {
+    return track?.mediaStreamTrack?.getSettings().deviceId;
+  }
+
+  getLocalTrack(kind) {
+    return this.localTracks?.find((track) => track.kind === kind);
+  }
+
+  switchCamera(event) {
+    this.switchDevice("video", event.target.value);
+  }
+
+  switchMicrophone(event) {
+    this.switchDevice("audio", event.target.value);
+  }
+
+  async switchDevice(kind, deviceId) {
+    // The camera is turned on again with the chosen device once audio-only mode is left.
+    if (kind === "video" && this.state.audioOnly) {
+      this.cameraDeviceId = deviceId;
+      this.preferences.set("cameraDeviceId", deviceId);
+      return;
+    }
+
+    const oldTrack = this.getLocalTrack(kind);
+    if (this.getDeviceId(oldTrack) === deviceId) return;
+
+    const constraints =
+      kind === "video"
+        ? { ...VIDEO_CONSTRAINTS, deviceId: { exact: deviceId } }
+        : this.audioConstraints(deviceId);
+
+    try {
+      const [newTrack] = await this.provider.createLocalTracks({
+        audio: kind === "audio" && constraints,
+        video: kind === "video" && constraints,
+      });
+      this.replaceLocalTrack(oldTrack, newTrack);
+      this.preferences.set(
+        kind === "video" ? "cameraDeviceId" : "microphoneDeviceId",
+        deviceId
+      );
+    } catch (err) {
+      this.handleMediaError(err);
+    }
+  }
+
+  // Replaces a local track in the preview and, if connected, in the room, keeping the current muted / paused state.
+  replaceLocalTrack(oldTrack, newTrack) {
+    this.localTracks = this.localTracks
+      .filter((track) => track !== oldTrack)
+      .concat(newTrack);
+    this.applyMediaState([newTrack]);
+    this.watchLocalTrack(newTrack);
+    if (newTrack.kind === "video") this.applyBackgroundEffect(newTrack);
+    if (newTrack.kind === "audio") {
+      this.localRecorder?.addAudioTrack(newTrack.mediaStreamTrack);
+      this.startNoiseGate();
+    }
+
+    if (this.isConnected()) {
+      const { localParticipant } = this.room;
+      if (oldTrack) localParticipant.unpublishTrack(oldTrack);
+      localParticipant
+        .publishTrack(newTrack)
+        .catch(this.handleMediaError.bind(this));
+    }
+
+    if (newTrack.kind === "video") {
+      this.attachLocalVideoTrack(oldTrack, newTrack);
+    }
+
+    oldTrack?.stop();
+
+    if (newTrack.kind === "audio" && !this.isConnected()) {
+      this.startAudioCheck();
+    }
+  }
+
+  switchSpeaker(event) {
+    this.speakerDeviceId = event.target.value;
+    this.preferences.set("speakerDeviceId", this.speakerDeviceId);
+    this.applySpeakers();
+  }
+
+  applySpeakers() {
+    this.element
+      .querySelectorAll("audio")
+      .forEach((element) => this.applySpeaker(element));
+  }
+
+  applySpeaker(element) {
+    if (!this.speakerDeviceId || !element.setSinkId) return Promise.resolve();
+
+    return element.setSinkId(this.speakerDeviceId).catch((err) => {
+      // The preferred speaker is unplugged, so the element stays on the default speaker.
+      if (err.name !== "NotFoundError") Rollbar?.error(err);
     });
   }
 
+  // Plays a short tone through the selected speaker.
+  testSpeaker(event) {
+    event?.preventDefault();
+
+    return this.playTone([440], TEST_SOUND_DURATION).catch((err) =>
+      Rollbar?.error(err)
+    );
+  }
+
+  // Plays the frequencies one after another through the selected speaker, splitting the duration evenly. Resolves once the tone ended.
+  async playTone(frequencies, duration) {
+    const context = new AudioContext();
+    const audio = new Audio();
+    try {
+      const oscillator = context.createOscillator();
+      const destination = context.createMediaStreamDestination();
+      oscillator.connect(destination);
+
+      audio.srcObject = destination.stream;
+      await this.applySpeaker(audio);
+      // Rejects if the browser does not allow playing audio yet.
+      await audio.play();
+
+      const ended = new Promise((resolve) => {
+        oscillator.onended = resolve;
+      });
+      frequencies.forEach((frequency, index) =>
+        oscillator.frequency.setValueAtTime(
+          frequency,
+          context.currentTime + (index * duration) / frequencies.length
+        )
+      );
+      oscillator.start();
+      oscillator.stop(context.currentTime + duration);
+      await ended;
+    } finally {
+      audio.pause();
+      context.close();
+    }
+  }
+
+  // The microphone level is only checked in the preview, before joining the call.
+  startAudioCheck() {
+    this.stopAudioCheck();
+
+    const track = this.getLocalTrack("audio");
+    if (!track?.mediaStreamTrack || !window.AudioContext) return;
+
+    this.lastAudioDetectedAt = Date.now();
+    this.audioLevelMeter = new AudioLevelMeter(
+      track.mediaStreamTrack,
+      this.audioLevelChanged.bind(this)
+    );
+    this.audioLevelMeter.start();
+  }
+
+  stopAudioCheck() {
+    this.audioLevelMeter?.stop();
+    this.audioLevelMeter = null;
+    this.store.setNoAudio(false);
+  }
+
+  audioLevelChanged(level) {
+    if (this.hasAudioLevelTarget) this.audioLevelTarget.value = level;
+
+    if (level > SILENCE_THRESHOLD || this.state.muted) {
+      this.lastAudioDetectedAt = Date.now();
+    }
+
+    this.store.setNoAudio(
+      Date.now() - this.lastAudioDetectedAt > SILENCE_WARNING_DELAY
+    );
+  }
+
+  attachLocalVideoTrack(oldTrack, newTrack) {
+    const div = this.videoContainers.get(this.data.get("local-identity"));
+    // The preview failed, so this is the first camera track.
+    if (!div) {
+      this.participantConnected(this.localPreviewParticipant(newTrack));
+      return;
+    }
+
+    oldTrack?.detach().forEach((element) => element.remove());
+    div
+      .querySelector(".videochat-video-container--inner")
+      .appendChild(newTrack.attach());
+  }
+
   setupChannel() {
     this.consumer = createConsumer(
       `/cable?token=${this.data.get("consumer-sgid")}`
@@ -149,19 +734,46 @@ export default class extends Controller {
         token: this.data.get("token"),
       },
       {
-        received: (event) => {
-          if (event.type === "update_participant") {
-            this.updateParticipant(event.data);
-          } else if (event.type === "update_recording") {
-            this.updateRecordingStatus(event.status === "running");
-          }
+        // Also called after the subscription reconnected, so messages sent in the meantime are loaded as well.
+        connected: () => {
+          this.loadMessages();
+          if (this.isConnected()) this.broadcastMediaState();
         },
+        received: this.receiveChannelEvent.bind(this),
       }
     );
   }
 
+  receiveChannelEvent(event) {
+    if (event.type === "update_participant") {
+      this.updateParticipant(event.data);
+    } else if (event.type === "update_recording") {
+      this.updateRecordingStatus(event.status === "running");
+    } else if (event.type === "message") {
+      this.receiveMessage(event.data);
+    } else if (event.type === "signal") {
+      this.provider.receiveSignal?.(event.from, event.to, event.data);
+    } else if (event.type === "update_room") {
+      this.store.setLocked(event.locked);
+    } else if (event.type === "request_recording_consent") {
+      this.receiveRecordingConsentRequest(event);
+    } else if (event.type === "raise_hand") {
+      this.store.raiseHand(event.identity);
+    } else if (event.type === "lower_hand") {
+      this.receiveLowerHand(event);
+    } else if (event.type === "reaction") {
+      this.showReaction(event.identity, event.reaction);
+    } else if (
+      ["request_mute", "request_pause", "remove_participant"].includes(
+        event.type
+      )
+    ) {
+      this.receiveModeration(event);
+    }
+  }
+
   updateParticipant(participantData) {
-    const participant = this.findParticipant(participantData.identity);
+    const participant = this.store.findParticipant(participantData.identity);
 
     // The participant was added after the videochat UI was already loaded.
     if (participant === undefined) {
@@ -169,14 +781,34 @@ export default class extends Controller {
       return;
     }
 
-    participant.state = participantData.state;
-    participant.muted = participantData.muted;
-    participant.paused = participantData.paused;
-    participant.currently_viewing = participantData.currently_viewing;
-    participant.audio_recording = participantData.audio_recording;
-    participant.video_recording = participantData.video_recording;
+    this.store.updateParticipant(participant.identity, {
+      state: participantData.state,
+      muted: participantData.muted,
+      paused: participantData.paused,
+      currently_viewing: participantData.currently_viewing,
+      audio_recording: participantData.audio_recording,
+      video_recording: participantData.video_recording,
+      screen_sharing: participantData.screen_sharing,
+      moderator: participantData.moderator,
+      audio_only: participantData.audio_only,
+      local_recording: participantData.local_recording,
+    });
+
+    if (this.store.isLocalParticipant(participant)) {
+      this.updateWaitingStatus(participantData.state);
+    }
+  }
 
-    this.updateParticipantTarget(participant);
+  // Participants in the waiting room join automatically as soon as a moderator admitted them.
+  updateWaitingStatus(state) {
+    if (!this.state.waiting || state === "pending") return;
+
+    this.store.leaveWaitingRoom(state === "canceled");
+    if (state === "accepted") {
+      this.connectChat();
+    } else if (state === "canceled") {
+      this.showNotice(I18n.t("videochat_notice_denied"));
+    }
   }
 
   loadUnknownParticipant(participant) {
@@ -185,21 +817,206 @@ export default class extends Controller {
       data: { ptoken: this.data.get("token") },
       success: () => {
         // We have to wait until success to run updateParticipant to ensure that loadParticipantTarget exists.
-        this.participants.push(participant);
+        this.store.addParticipant(participant);
         this.updateParticipant(participant);
       },
     });
   }
 
-  updateParticipantTargets() {
-    this.participants.forEach(this.updateParticipantTarget.bind(this));
+  // Only re-renders the parts of the UI whose state slices changed.
+  render(state, previousState) {
+    const changed = (keys) =>
+      keys.some((key) => state[key] !== previousState[key]);
+
+    if (changed(WINDOW_STATE_KEYS)) this.updateStateClasses();
+    if (changed(["connected", "recording", "recordingRequested"])) {
+      this.updateRecordingButton();
+    }
+    if (
+      changed(["recordingConsentRequested"]) &&
+      this.hasRecordingConsentTarget
+    ) {
+      this.recordingConsentTarget.hidden = !state.recordingConsentRequested;
+    }
+    // Recording only starts and stops audibly during the call, not when joining or leaving.
+    if (changed(["recording"]) && state.connected && previousState.connected) {
+      this.playTone(
+        state.recording ? [440, 660] : [660, 440],
+        RECORDING_CUE_DURATION
+      ).catch(() => {
+        // The cue is skipped if the browser blocks audio, the recording state is shown anyway.
+      });
+    }
+    if (changed(["errorMessage"]) && state.errorMessage) {
+      this.errorTarget.textContent = state.errorMessage;
+    }
+    if (changed(["unreadMessages"])) this.updateUnreadCount();
+    // Changes of other participant fields, e.g. muted or the network quality, are rendered per participant target below.
+    if (
+      changed(LAYOUT_STATE_KEYS) ||
+      (changed(["participants"]) &&
+        !_.isEqual(
+          connectedIdentities(state),
+          connectedIdentities(previousState)
+        ))
+    ) {
+      this.renderParticipants();
+    }
+
+    state.participants.forEach((participant) => {
+      const previousParticipant = previousState.participants.find(
+        (other) => other.identity === participant.identity
+      );
+      const view = this.participantView(state, participant);
+      const previousView = previousParticipant
+        ? this.participantView(previousState, previousParticipant)
+        : [];
+      if (view.some((value, index) => value !== previousView[index])) {
+        this.updateParticipantTarget(participant);
+      }
+    });
+
+    if (changed(["selectedIdentities"])) this.broadcastCurrentlyViewing();
+    if (changed(["raisedHands"])) this.orderParticipantList();
+
+    this.dispatchStateEvents(state, previousState);
+  }
+
+  // Events dispatched on the controller element for host pages, all bubbling and prefixed with `videochat:`:
+  // connecting, connected, disconnected, error ({ message }), participant-joined and participant-left ({ identity, type }),
+  // mute-changed ({ identity, type, muted }), pause-changed ({ identity, type, paused }), recording-started, recording-stopped
+  // and main-view-changed ({ identity, type }, identity is null for the shared view).
+  dispatchStateEvents(state, previousState) {
+    const changed = (key) => state[key] !== previousState[key];
+    const localIdentity = this.data.get("local-identity");
+
+    if (changed("connecting") && state.connecting)
+      this.dispatchVideochatEvent("connecting");
+    if (changed("connected")) {
+      this.dispatchVideochatEvent(
+        state.connected ? "connected" : "disconnected"
+      );
+    }
+    if (changed("errorMessage") && state.errorMessage) {
+      this.dispatchVideochatEvent("error", { message: state.errorMessage });
+    }
+    if (changed("recording")) {
+      this.dispatchVideochatEvent(
+        state.recording ? "recording-started" : "recording-stopped"
+      );
+    }
+    if (changed("muted")) {
+      this.dispatchVideochatEvent("mute-changed", {
+        ...this.participantDetail(localIdentity),
+        muted: state.muted,
+      });
+    }
+    if (changed("paused")) {
+      this.dispatchVideochatEvent("pause-changed", {
+        ...this.participantDetail(localIdentity),
+        paused: state.paused,
+      });
+    }
+    if (changed("mainIdentity")) {
+      this.dispatchVideochatEvent(
+        "main-view-changed",
+        this.participantDetail(state.mainIdentity)
+      );
+    }
+
+    if (!changed("participants") && !changed("connected")) return;
+
+    state.participants.forEach((participant) => {
+      if (this.store.isLocalParticipant(participant)) return;
+
+      const previousParticipant = previousState.participants.find(
+        (other) => other.identity === participant.identity
+      );
+      const wasConnected =
+        previousState.connected && previousParticipant?.state === "connected";
+      const isConnected = this.store.isParticipantConnected(participant);
+      const detail = this.participantDetail(participant.identity);
+
+      if (isConnected !== wasConnected) {
+        this.dispatchVideochatEvent(
+          isConnected ? "participant-joined" : "participant-left",
+          detail
+        );
+      }
+      if (!isConnected || !previousParticipant) return;
+
+      if (participant.muted !== previousParticipant.muted) {
+        this.dispatchVideochatEvent("mute-changed", {
+          ...detail,
+          muted: participant.muted,
+        });
+      }
+      if (participant.paused !== previousParticipant.paused) {
+        this.dispatchVideochatEvent("pause-changed", {
+          ...detail,
+          paused: participant.paused,
+        });
+      }
+    });
+  }
+
+  // Screen shares are reported with the identity of the participant who is sharing.
+  participantDetail(identity) {
+    const screenShare = this.store.findScreenShare(identity);
+    if (screenShare) {
+      return { identity: screenShare.ownerIdentity, type: "screen" };
+    }
+
+    const participant = this.store.findParticipant(identity);
+    return { identity, type: participant?.participant_type || null };
+  }
+
+  dispatchVideochatEvent(name, detail = {}) {
+    this.element.dispatchEvent(
+      new CustomEvent(`videochat:${name}`, { bubbles: true, detail })
+    );
+  }
+
+  // Runs commands sent by host pages, e.g. with `data-action="videochat:command->videochat#receiveCommand"`.
+  receiveCommand(event) {
+    const action = COMMANDS[event.detail.command];
+    if (!action) return;
+
+    // Some actions are async, e.g. startScreenShare.
+    Promise.resolve(this[action]()).catch((err) => Rollbar?.error(err));
+  }
+
+  // Everything a participant target is rendered from.
+  participantView(state, participant) {
+    return [
+      participant,
+      state.connected,
+      this.store.isRecorded(state),
+      state.selectedIdentities.includes(participant.identity),
+      state.mainIdentity === participant.identity,
+      state.dominantSpeakerIdentity === participant.identity,
+      state.raisedHands.indexOf(participant.identity),
+    ];
   }
 
   updateParticipantTarget(participant) {
     const participantTarget = this.getParticipantTarget(participant);
 
-    if (!this.isParticipantConnected(participant)) {
+    const div = this.videoContainers.get(participant.identity);
+    div?.classList.toggle("is-reconnecting", !!participant.reconnecting);
+    div?.classList.toggle("is-audio-only", !!participant.audio_only);
+    div?.classList.toggle(
+      "is-speaking",
+      this.state.dominantSpeakerIdentity === participant.identity
+    );
+
+    if (!this.store.isParticipantConnected(participant)) {
       this.clearParticipantTarget(participant);
+      // Pending participants are still shown, so moderators can admit them.
+      participantTarget.classList.toggle(
+        "videochat-participant-pending",
+        participant.state === "pending"
+      );
       return;
     }
 
@@ -212,7 +1029,7 @@ export default class extends Controller {
     );
     participantTarget.classList.toggle(
       "videochat-participant-connected",
-      this.isParticipantConnected(participant)
+      this.store.isParticipantConnected(participant)
     );
 
     // Set states for muted / paused
@@ -232,6 +1049,10 @@ export default class extends Controller {
       "videochat-participant-unpause",
       !participant.paused
     );
+    participantTarget.classList.toggle(
+      "videochat-participant-reconnecting",
+      !!participant.reconnecting
+    );
     if (participant.networkQualityLevel) {
       participantTarget.classList.toggle(
         "videochat-participant-bad-signal",
@@ -250,16 +1071,43 @@ export default class extends Controller {
       "videochat-participant-video-recording",
       participant.video_recording
     );
-    participantTarget.classList.toggle("is-recording", this.recording);
+    participantTarget.classList.toggle("is-recording", this.store.isRecorded());
+
+    participantTarget.classList.toggle(
+      "videochat-participant-presenting",
+      participant.screen_sharing
+    );
+    participantTarget.classList.toggle(
+      "videochat-participant-moderator",
+      !!participant.moderator
+    );
+    participantTarget.classList.toggle(
+      "videochat-participant-audio-only",
+      !!participant.audio_only
+    );
+    participantTarget.classList.toggle(
+      "videochat-participant-hand-raised",
+      this.store.isHandRaised(participant.identity)
+    );
+    if (this.store.isHandRaised(participant.identity)) {
+      participantTarget.dataset.handPosition =
+        this.state.raisedHands.indexOf(participant.identity) + 1;
+    } else {
+      delete participantTarget.dataset.handPosition;
+    }
 
     // Set states for selection status
     participantTarget.classList.toggle(
       "is-selected",
-      this.selectedIdentities.indexOf(participant.identity) !== -1
+      this.store.isSelected(participant.identity)
     );
     participantTarget.classList.toggle(
       "is-dominant",
-      this.mainIdentity === participant.identity
+      this.state.mainIdentity === participant.identity
+    );
+    participantTarget.classList.toggle(
+      "videochat-participant-speaking",
+      this.state.dominantSpeakerIdentity === participant.identity
     );
 
     // Update currently-viewing
@@ -268,7 +1116,7 @@ export default class extends Controller {
     );
     if (participant.currently_viewing.length > 0) {
       const participantList = participant.currently_viewing.map((identity) =>
-        this.findParticipant(identity)
+        this.store.findParticipant(identity)
       );
 
       currentlyViewingTarget.textContent = participantList
@@ -301,13 +1149,20 @@ export default class extends Controller {
       "videochat-participant-unmute",
       "videochat-participant-pause",
       "videochat-participant-unpause",
+      "videochat-participant-reconnecting",
       "videochat-participant-audio-recording",
       "videochat-participant-video-recording",
       "videochat-participant-bad-signal",
+      "videochat-participant-presenting",
+      "videochat-participant-moderator",
+      "videochat-participant-speaking",
+      "videochat-participant-audio-only",
+      "videochat-participant-hand-raised",
       "is-recording",
       "is-selected",
       "is-dominant"
     );
+    delete participantTarget.dataset.handPosition;
 
     const currentlyViewingTarget = participantTarget.querySelector(
       ".videochat-participant--currently-viewing > span"
@@ -316,11 +1171,8 @@ export default class extends Controller {
   }
 
   updateRecordingStatus(newRecordingStatus) {
-    if (this.recording !== newRecordingStatus) {
-      this.recording = newRecordingStatus;
-      this.updateStateClasses();
-      this.updateParticipantTargets();
-    }
+    clearTimeout(this.recordingRequestTimeout);
+    this.store.setRecording(newRecordingStatus);
     if (this.hasRecordingButtonTarget) {
       $.rails.ajax({
         url: `${this.data.get("url")}/recordings`,
@@ -329,54 +1181,710 @@ export default class extends Controller {
     }
   }
 
-  async createPreview() {
-    this.localTracks = await this.provider.createLocalTracks({
-      audio: true,
-      video: { width: 1280, height: 720 },
-    });
-    const localVideoTrack = this.localTracks.find(
-      (track) => track.kind === "video"
-    );
+  // Recording is started by the server once the connected participants answered, and only includes what they consented to.
+  toggleRecording(event) {
+    event?.preventDefault();
+    if (!this.isConnected() || this.state.recordingRequested) return;
 
-    const localParticipant = {
-      identity: this.data.get("local-identity"),
-      tracks: [{ isSubscribed: true, track: localVideoTrack }],
-      videoTracks: [{ isSubscribed: true, track: localVideoTrack }],
-    };
-    this.participantConnected(localParticipant);
+    if (this.state.recording) {
+      this.channel.perform("stop_recording");
+    } else {
+      this.store.requestRecording();
+      this.channel.perform("start_recording");
+      clearTimeout(this.recordingRequestTimeout);
+      this.recordingRequestTimeout = setTimeout(() => {
+        if (!this.state.recordingRequested) return;
+
+        this.store.cancelRecordingRequest();
+        this.showNotice(I18n.t("videochat_notice_recording_failed"));
+      }, RECORDING_REQUEST_TIMEOUT);
+    }
   }
 
-  connectChat() {
-    this.error = null;
-    this.connecting = true;
-    this.updateStateClasses();
+  receiveRecordingConsentRequest(event) {
+    if (!this.isConnected()) return;
 
-    $.rails.ajax({
-      url: `${this.data.get("url")}/connect`,
-      format: "json",
-      method: "POST",
+    // Requesting the recording counts as consenting to it.
+    if (event.requested_by === this.data.get("local-identity")) {
+      this.channel.perform("answer_recording_consent", RECORDING_CONSENTS.all);
+      return;
+    }
+
+    this.store.requestRecordingConsent();
+  }
+
+  answerRecordingConsent(event) {
+    event?.preventDefault();
+
+    const consent =
+      RECORDING_CONSENTS[event.currentTarget.dataset.consent] ||
+      RECORDING_CONSENTS.none;
+    this.channel.perform("answer_recording_consent", consent);
+    this.store.recordingConsentAnswered();
+  }
+
+  audioConstraints(deviceId) {
+    return deviceId
+      ? { ...this.audioProcessing, deviceId: { exact: deviceId } }
+      : { ...this.audioProcessing };
+  }
+
+  // Buttons choose the setting with data-audio-processing, e.g. "noiseSuppression". Browsers that can't change it on a live track apply it to the next microphone track.
+  toggleAudioProcessing(event) {
+    event?.preventDefault();
+
+    const { audioProcessing } = event.currentTarget.dataset;
+    this.audioProcessing = {
+      ...this.audioProcessing,
+      [audioProcessing]: !this.audioProcessing[audioProcessing],
+    };
+    event.currentTarget.classList.toggle(
+      "is-active",
+      this.audioProcessing[audioProcessing]
+    );
+
+    this.getLocalTrack("audio")
+      ?.mediaStreamTrack?.applyConstraints(this.audioProcessing)
+      .catch((err) => Rollbar?.error(err));
+  }
+
+  toggleNoiseGate(event) {
+    event?.preventDefault();
+
+    this.store.setNoiseGate(!this.state.noiseGate);
+    if (this.state.noiseGate) {
+      this.startNoiseGate();
+    } else {
+      this.stopNoiseGate();
+    }
+  }
+
+  // The gate disables the microphone track between words, without changing the muted state.
+  startNoiseGate() {
+    this.stopNoiseGate();
+
+    const track = this.getLocalTrack("audio");
+    if (!this.state.noiseGate || !track?.mediaStreamTrack) return;
+    if (!window.AudioContext) return;
+
+    this.noiseGate = new NoiseGate(
+      track.mediaStreamTrack,
+      this.applyNoiseGate.bind(this)
+    );
+    this.noiseGate.start();
+  }
+
+  stopNoiseGate() {
+    if (!this.noiseGate) return;
+
+    this.noiseGate.stop();
+    this.noiseGate = null;
+    const track = this.getLocalTrack("audio");
+    if (track && !this.state.muted) track.enable();
+  }
+
+  applyNoiseGate() {
+    const track = this.getLocalTrack("audio");
+    if (!this.noiseGate || !track || this.state.muted) return;
+
+    if (this.noiseGate.open) {
+      track.enable();
+    } else {
+      track.disable();
+    }
+  }
+
+  // In push-to-talk mode the microphone is only unmuted while the key or button is held down.
+  togglePushToTalk(event) {
+    event?.preventDefault();
+
+    this.store.setPushToTalk(!this.state.pushToTalk);
+    if (this.state.pushToTalk && !this.state.muted) this.mute();
+  }
+
+  pushToTalkKeyDown(event) {
+    if (!this.store?.state.pushToTalk || event.repeat) return;
+    if (event.code !== this.pushToTalkKey) return;
+    // Typing in the chat must not unmute.
+    if (event.target.closest?.("input, textarea, select, [contenteditable]")) {
+      return;
+    }
+
+    event.preventDefault();
+    this.startTalking();
+  }
+
+  pushToTalkKeyUp(event) {
+    if (event.code !== this.pushToTalkKey) return;
+
+    this.stopTalking();
+  }
+
+  startTalking(event) {
+    event?.preventDefault();
+    if (!this.state.pushToTalk || !this.state.muted) return;
+
+    this.unmute();
+  }
+
+  stopTalking(event) {
+    event?.preventDefault();
+    if (!this.store?.state.pushToTalk || this.state.muted) return;
+
+    this.mute();
+  }
+
+  // Buttons choose the effect with data-background-effect ("none", "blur" or "image"), and the image with data-background-image.
+  setBackgroundEffect(event) {
+    event?.preventDefault();
+
+    const { backgroundEffect, backgroundImage } = event.currentTarget.dataset;
+    if (backgroundEffect === "none") {
+      this.changeBackgroundEffect(null);
+    } else {
+      this.changeBackgroundEffect({
+        type: backgroundEffect,
+        imageUrl: backgroundImage,
+      });
+    }
+  }
+
+  uploadBackgroundImage(event) {
+    const [file] = event.target.files;
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () =>
+      this.changeBackgroundEffect({ type: "image", imageUrl: reader.result });
+    reader.readAsDataURL(file);
+  }
+
+  // The effect is remembered, so it is applied again when the camera track is recreated.
+  changeBackgroundEffect(effect) {
+    this.backgroundEffect = effect;
+    this.backgroundImage = null;
+    if (effect?.imageUrl) {
+      this.backgroundImage = new Image();
+      this.backgroundImage.src = effect.imageUrl;
+    }
+    this.store.setBackgroundEffect(effect?.type || null);
+
+    const videoTrack = this.getLocalTrack("video");
+    if (videoTrack) this.applyBackgroundEffect(videoTrack);
+  }
+
+  // Processors run on the track itself, so the effect is shown in the preview and sent without republishing the track.
+  applyBackgroundEffect(track) {
+    if (!track.addProcessor) return;
+
+    if (track.processor) track.removeProcessor(track.processor);
+    if (!this.backgroundEffect) return;
+
+    // The model is loaded from data-videochat-segmentation-assets-path, where the app serves the files of @mediapipe/selfie_segmentation.
+    if (!this.personSegmenter) {
+      this.personSegmenter = new PersonSegmenter(
+        this.data.get("segmentation-assets-path")
+      );
+    }
+    track.addProcessor(
+      new BackgroundProcessor({
+        type: this.backgroundEffect.type,
+        segmenter: this.personSegmenter,
+        image: this.backgroundImage,
+        onError: this.backgroundEffectFailed.bind(this),
+      })
+    );
+  }
+
+  // Without segmentation the camera would only show the background effect, so it is turned off.
+  backgroundEffectFailed(err) {
+    Rollbar?.error(err);
+    if (!this.backgroundEffect) return;
+
+    this.changeBackgroundEffect(null);
+    this.showNotice(I18n.t("videochat_notice_background_failed"));
+  }
+
+  toggleLocalRecording(event) {
+    event?.preventDefault();
+
+    if (this.localRecorder) {
+      this.stopLocalRecording();
+    } else {
+      this.startLocalRecording();
+    }
+  }
+
+  // Records the call in the browser and offers it as download when stopped. Other participants see it like a recording of the room.
+  startLocalRecording() {
+    if (!this.isConnected() || this.localRecorder) return;
+    if (!LocalRecorder.isSupported) return;
+
+    this.localRecorder = new LocalRecorder(
+      this.localRecordingVideoElements.bind(this),
+      this.downloadLocalRecording.bind(this)
+    );
+    try {
+      this.localRecorder.start(this.localRecordingAudioTracks());
+    } catch (err) {
+      this.localRecorder = null;
+      this.handleMediaError(err);
+      return;
+    }
+    this.store.setLocalRecording(true);
+    this.channel.perform("start_local_recording");
+  }
+
+  stopLocalRecording() {
+    if (!this.localRecorder) return;
+
+    this.localRecorder.stop();
+    this.localRecorder = null;
+    this.store.setLocalRecording(false);
+    this.channel.perform("stop_local_recording");
+  }
+
+  localRecordingAudioTracks() {
+    const tracks = [this.getLocalTrack("audio")];
+    this.remoteParticipants.forEach((remoteParticipant, identity) => {
+      if (identity === this.data.get("local-identity")) return;
+
+      remoteParticipant.audioTracks.forEach((publication) => {
+        if (publication.isSubscribed) tracks.push(publication.track);
+      });
+    });
+    return tracks
+      .filter((track) => track?.mediaStreamTrack)
+      .map((track) => track.mediaStreamTrack);
+  }
+
+  // Records either the main view, or all selected participants. Without a main view, the selected participants are recorded in both cases.
+  localRecordingVideoElements() {
+    const mainVideos = [...this.mainTarget.querySelectorAll("video")];
+    if (
+      mainVideos.length > 0 &&
+      this.data.get("local-recording-source") !== "selected"
+    ) {
+      return mainVideos;
+    }
+    return [...mainVideos, ...this.auxiliaryTarget.querySelectorAll("video")];
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  downloadLocalRecording(blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `videochat-${new Date().toISOString()}.webm`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers.
+    _.defer(() => URL.revokeObjectURL(url));
+  }
+
+  toggleHand(event) {
+    event?.preventDefault();
+    if (!this.isConnected()) return;
+
+    const identity = this.data.get("local-identity");
+    if (this.store.isHandRaised(identity)) {
+      this.channel.perform("lower_hand", { identity });
+    } else {
+      this.channel.perform("raise_hand");
+    }
+  }
+
+  receiveLowerHand(event) {
+    this.store.lowerHand(event.identity);
+
+    if (
+      event.identity === this.data.get("local-identity") &&
+      event.lowered_by &&
+      event.lowered_by !== event.identity
+    ) {
+      const name = this.store.findParticipant(event.lowered_by)?.familiar_name;
+      this.showNotice(I18n.t("videochat_notice_hand_lowered_by", { name }));
+    }
+  }
+
+  // Participants with raised hands are listed first, in the order they raised them. The others keep the order they were rendered in.
+  orderParticipantList() {
+    if (!this.hasParticipantListTarget) return;
+
+    if (!this.participantListOrder) {
+      this.participantListOrder = this.participantTargets.map(
+        (target) => target.dataset.identity
+      );
+    }
+    const position = (target) => {
+      const handIndex = this.state.raisedHands.indexOf(target.dataset.identity);
+      if (handIndex !== -1) return handIndex - this.state.raisedHands.length;
+
+      const index = this.participantListOrder.indexOf(target.dataset.identity);
+      return index === -1 ? this.participantListOrder.length : index;
+    };
+
+    _.sortBy(
+      this.participantTargets.filter(
+        (target) => target.parentElement === this.participantListTarget
+      ),
+      position
+    ).forEach((target) => this.participantListTarget.appendChild(target));
+  }
+
+  // Buttons choose the reaction with data-reaction. Reactions are shown once they come back through the channel, like for everyone else.
+  sendReaction(event) {
+    event?.preventDefault();
+
+    const { reaction } = event.currentTarget.dataset;
+    if (!this.isConnected() || !REACTIONS[reaction]) return;
+
+    this.channel.perform("send_reaction", { reaction });
+  }
+
+  showReaction(identity, reaction) {
+    const div = this.videoContainers.get(identity);
+    if (!div || !REACTIONS[reaction]) return;
+
+    const reactionSpan = document.createElement("span");
+    reactionSpan.className = `videochat-reaction videochat-reaction-${reaction}`;
+    reactionSpan.textContent = REACTIONS[reaction];
+    div.appendChild(reactionSpan);
+    setTimeout(() => reactionSpan.remove(), REACTION_DURATION);
+  }
+
+  loadMessages() {
+    if (!this.hasChatMessagesTarget) return;
+
+    $.rails.ajax({
+      url: `${this.data.get("url")}/messages`,
+      format: "json",
+      data: { ptoken: this.data.get("token") },
+      success: (messages) => {
+        this.messages = _.sortBy(
+          _.uniqBy([...messages, ...this.messages], "id"),
+          "created_at"
+        );
+        this.renderMessages();
+      },
+    });
+  }
+
+  receiveMessage(message) {
+    if (!this.hasChatMessagesTarget) return;
+    if (this.messages.some((other) => other.id === message.id)) return;
+
+    this.messages.push(message);
+    this.chatMessagesTarget.appendChild(this.renderMessage(message));
+    this.chatMessagesTarget.scrollTop = this.chatMessagesTarget.scrollHeight;
+
+    this.store.messageReceived(message.identity);
+  }
+
+  renderMessages() {
+    this.chatMessagesTarget.innerHTML = "";
+    this.messages.forEach((message) =>
+      this.chatMessagesTarget.appendChild(this.renderMessage(message))
+    );
+    this.chatMessagesTarget.scrollTop = this.chatMessagesTarget.scrollHeight;
+  }
+
+  renderMessage(message) {
+    const sender = this.store.findParticipant(message.identity);
+    const createdAt = new Date(message.created_at);
+
+    const div = document.createElement("div");
+    div.className = "videochat-message";
+    div.classList.toggle(
+      "is-local",
+      message.identity === this.data.get("local-identity")
+    );
+
+    const senderSpan = document.createElement("span");
+    senderSpan.className = "videochat-message--sender";
+    senderSpan.textContent = sender?.familiar_name || "";
+
+    const time = document.createElement("time");
+    time.className = "videochat-message--time";
+    time.dateTime = createdAt.toISOString();
+    time.textContent = createdAt.toLocaleTimeString(I18n.locale, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+    const body = document.createElement("p");
+    body.className = "videochat-message--body";
+    // Render links as anchors, but never interpret the message as HTML.
+    message.body.split(/(https?:\/\/\S+)/).forEach((part, index) => {
+      if (index % 2 === 1) {
+        const link = document.createElement("a");
+        link.href = part;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        link.textContent = part;
+        body.appendChild(link);
+      } else {
+        body.appendChild(document.createTextNode(part));
+      }
+    });
+
+    div.append(senderSpan, time, body);
+    return div;
+  }
+
+  sendMessage(event) {
+    event.preventDefault();
+
+    const body = this.chatInputTarget.value.trim();
+    if (body === "") return;
+
+    this.channel.perform("send_message", { body });
+    this.chatInputTarget.value = "";
+  }
+
+  toggleChat() {
+    this.store.toggleChat();
+  }
+
+  updateUnreadCount() {
+    if (!this.hasChatUnreadCountTarget) return;
+
+    this.chatUnreadCountTarget.textContent = this.state.unreadMessages;
+    this.chatUnreadCountTarget.hidden = this.state.unreadMessages === 0;
+  }
+
+  showNotice(message) {
+    if (!this.hasNoticeTarget) return;
+
+    this.noticeTarget.textContent = message;
+    this.noticeTarget.hidden = false;
+
+    clearTimeout(this.noticeTimeout);
+    this.noticeTimeout = setTimeout(
+      this.dismissNotice.bind(this),
+      NOTICE_DURATION
+    );
+  }
+
+  dismissNotice() {
+    if (!this.hasNoticeTarget) return;
+
+    this.noticeTarget.hidden = true;
+  }
+
+  // Moderation requests are only applied by the targeted client, through the same paths as if the participant acted on their own.
+  receiveModeration(event) {
+    if (event.identity !== this.data.get("local-identity")) return;
+    if (!this.store.findParticipant(event.moderator)?.moderator) return;
+    if (!this.isConnected()) return;
+
+    const name = this.store.findParticipant(event.moderator).familiar_name;
+    if (event.type === "request_mute") {
+      if (!this.state.muted) this.mute();
+      this.showNotice(I18n.t("videochat_notice_muted_by", { name }));
+    } else if (event.type === "request_pause") {
+      if (!this.state.paused) this.pause();
+      this.showNotice(I18n.t("videochat_notice_paused_by", { name }));
+    } else if (event.type === "remove_participant") {
+      this.disconnectChat();
+      this.showNotice(I18n.t("videochat_notice_removed_by", { name }));
+    }
+  }
+
+  moderate(event, action) {
+    event.preventDefault();
+    if (!this.store.isModerator()) return;
+
+    const participantEl = event.target.closest(".videochat-participant");
+    this.channel.perform(action, { identity: participantEl.dataset.identity });
+  }
+
+  lowerHand(event) {
+    this.moderate(event, "lower_hand");
+  }
+
+  requestMute(event) {
+    this.moderate(event, "request_mute");
+  }
+
+  requestPause(event) {
+    this.moderate(event, "request_pause");
+  }
+
+  removeParticipant(event) {
+    this.moderate(event, "remove_participant");
+  }
+
+  admitParticipant(event) {
+    this.moderate(event, "admit_participant");
+  }
+
+  denyParticipant(event) {
+    this.moderate(event, "deny_participant");
+  }
+
+  admitAll(event) {
+    event?.preventDefault();
+    if (!this.store.isModerator()) return;
+
+    this.channel.perform("admit_all");
+  }
+
+  toggleRoomLock(event) {
+    event?.preventDefault();
+    if (!this.store.isModerator()) return;
+
+    this.channel.perform(this.state.locked ? "unlock_room" : "lock_room");
+  }
+
+  runPreflight(event) {
+    event?.preventDefault();
+    if (!this.provider.runPreflight) return;
+    if (this.isConnected() || this.state.preflightRunning) return;
+
+    this.store.startPreflight();
+
+    $.rails.ajax({
+      url: `${this.data.get("url")}/preflight`,
+      format: "json",
+      method: "POST",
+      data: { ptoken: this.data.get("token") },
+      success: (data) => {
+        let preflightTest;
+        try {
+          preflightTest = this.provider.runPreflight(data.token);
+        } catch (error) {
+          this.preflightCompleted({ status: "fail", results: [], error });
+          return;
+        }
+        preflightTest.on("completed", (report) =>
+          this.preflightCompleted(evaluatePreflightReport(report))
+        );
+        preflightTest.on("failed", (error) =>
+          this.preflightCompleted({ status: "fail", results: [], error })
+        );
+      },
+      error: () => {
+        this.preflightCompleted({
+          status: "fail",
+          results: [],
+          error: { message: I18n.t("request_error") },
+        });
+      },
+    });
+  }
+
+  preflightCompleted({ status, results, error }) {
+    this.store.preflightCompleted(status);
+
+    if (!this.hasPreflightResultsTarget) return;
+
+    this.preflightResultsTarget.innerHTML = "";
+    if (error) {
+      const item = document.createElement("li");
+      item.className = "videochat-preflight-result is-fail";
+      item.textContent = this.errorMessageFor(error);
+      this.preflightResultsTarget.appendChild(item);
+    }
+    results.forEach((result) => {
+      const item = document.createElement("li");
+      item.className = `videochat-preflight-result is-${result.status}`;
+      item.textContent = I18n.t(
+        `videochat_preflight_${_.snakeCase(result.metric)}`,
+        {
+          value: _.round(result.value, 3),
+        }
+      );
+
+      if (result.status !== "pass") {
+        const suggestion = document.createElement("span");
+        suggestion.className = "videochat-preflight-result--suggestion";
+        suggestion.textContent = I18n.t(
+          `videochat_preflight_suggestion_${_.snakeCase(result.metric)}`
+        );
+        item.appendChild(suggestion);
+      }
+      this.preflightResultsTarget.appendChild(item);
+    });
+  }
+
+  async createPreview() {
+    // Preferred devices are only ideal, so we fall back to the default devices if they are gone.
+    const cameraDeviceId = this.preferences.get("cameraDeviceId");
+    const microphoneDeviceId = this.preferences.get("microphoneDeviceId");
+    this.localTracks = await this.provider.createLocalTracks({
+      audio: microphoneDeviceId
+        ? {
+            ...this.audioConstraints(),
+            deviceId: { ideal: microphoneDeviceId },
+          }
+        : this.audioConstraints(),
+      video: cameraDeviceId
+        ? { ...VIDEO_CONSTRAINTS, deviceId: { ideal: cameraDeviceId } }
+        : VIDEO_CONSTRAINTS,
+    });
+    this.localTracks.forEach(this.watchLocalTrack.bind(this));
+    this.applyMediaState();
+    this.startNoiseGate();
+    const localVideoTrack = this.localTracks.find(
+      (track) => track.kind === "video"
+    );
+    if (localVideoTrack) this.applyBackgroundEffect(localVideoTrack);
+
+    this.participantConnected(this.localPreviewParticipant(localVideoTrack));
+  }
+
+  // The local participant is shown with the preview tracks until connected, in the shape of a provider participant.
+  localPreviewParticipant(videoTrack) {
+    return {
+      identity: this.data.get("local-identity"),
+      tracks: [{ isSubscribed: true, track: videoTrack }],
+      videoTracks: [{ isSubscribed: true, track: videoTrack }],
+    };
+  }
+
+  connectChat() {
+    if (this.state.waiting || this.state.denied) return;
+    // Joining twice would enter a second room, e.g. with a "join" command from the host page.
+    if (this.isConnected() || this.state.connecting) return;
+
+    clearTimeout(this.rejoinTimeout);
+    this.store.startConnecting();
+
+    $.rails.ajax({
+      url: `${this.data.get("url")}/connect`,
+      format: "json",
+      method: "POST",
       data: { ptoken: this.data.get("token") },
       success: (data) => {
-        this.recording = data.recording;
+        this.store.setRecording(data.recording);
         this.enterRoom(data.token);
       },
       error: (jqXHR) => {
+        this.store.setConnecting(false);
         if (jqXHR.responseJSON) {
+          // Other participants still see us reconnecting.
+          if (this.state.reconnecting) this.broadcastStatus("disconnected");
+          this.cancelRejoin();
           this.error = jqXHR.responseJSON.error;
+        } else if (this.state.reconnecting) {
+          this.rejoin({ message: I18n.t("request_error") });
         } else {
           this.error = { message: I18n.t("request_error") };
         }
-        this.connecting = false;
-        this.updateStateClasses();
       },
     });
   }
 
   enterRoom(accessToken) {
+    // The tracks are kept across rejoins, but are published as they are, so they must match the muted / paused state shown.
+    this.applyMediaState();
     this.provider
       .connect(accessToken, {
         tracks: this.localTracks,
-        dominantSpeaker: false,
+        // Always enabled, so follow speaker mode can be switched on during the call.
+        dominantSpeaker: true,
         preferredVideoCodecs: "auto",
         networkQuality: {
           local: 1,
@@ -386,14 +1894,25 @@ export default class extends Controller {
           video: {
             mode: "grid",
             trackSwitchOffMode: "predicted",
-            contentPreferencesMode: "auto",
-            clientTrackSwitchOffControl: "auto",
+            contentPreferencesMode: this.manualTrackSwitchOff
+              ? "manual"
+              : "auto",
+            clientTrackSwitchOffControl: this.manualTrackSwitchOff
+              ? "manual"
+              : "auto",
           },
         },
       })
       .then(
         (room) => {
           this.room = room;
+          this.store.connected();
+          if (this.manualTrackSwitchOff) {
+            this.visibilityTracker = new VisibilityTracker(
+              this.videoVisibilityChanged.bind(this)
+            );
+            this.visibilityTracker.start();
+          }
 
           room.participants.forEach(this.participantConnected.bind(this));
           room.on("participantConnected", this.participantConnected.bind(this));
@@ -401,15 +1920,31 @@ export default class extends Controller {
             "participantDisconnected",
             this.participantDisconnected.bind(this)
           );
+          room.on(
+            "dominantSpeakerChanged",
+            this.dominantSpeakerChanged.bind(this)
+          );
+          room.on("reconnecting", () => {
+            this.store.setReconnecting(true);
+            this.broadcastStatus("reconnecting");
+          });
+          room.on("reconnected", () => {
+            this.store.setReconnecting(false);
+            this.broadcastStatus("connected");
+            this.broadcastMediaState();
+          });
           room.once("disconnected", (disconnectedRoom, error) => {
-            this.broadcastStatus("disconnected");
+            this.stopStats();
+            const layout = this.store.layout();
             this.cleanup(disconnectedRoom);
-            if (error) {
-              if (error.code === ROOM_COMPLETED_ERROR) {
-                window.location.reload(true);
-              } else {
-                this.error = error;
-              }
+            if (!error) {
+              this.broadcastStatus("disconnected");
+            } else if (error.code === ROOM_COMPLETED_ERROR) {
+              this.broadcastStatus("disconnected");
+              window.location.reload(true);
+            } else {
+              this.rejoinLayout = layout;
+              this.rejoin(error);
             }
           });
 
@@ -419,10 +1954,20 @@ export default class extends Controller {
           );
 
           this.broadcastStatus("connected");
+          this.broadcastMediaState();
+          if (this.state.audioOnly) this.channel.perform("enable_audio_only");
+          // Participants joining a running recording are asked for consent as well. After rejoining, their answer still applies.
+          if (this.state.recording && this.rejoinAttempts === 0) {
+            this.store.requestRecordingConsent();
+          }
 
-          this.updateParticipantTargets();
-          this.connecting = false;
-          this.updateUI();
+          this.stopAudioCheck();
+          this.startStats(room);
+          // After rejoining, the layout before the connection was lost is restored, otherwise the preferred layout.
+          const layout = this.rejoinLayout || this.preferences.get("layout");
+          if (layout) this.store.restoreLayout(layout);
+          this.rejoinLayout = null;
+          this.rejoinAttempts = 0;
         },
         (error) => {
           if (
@@ -431,15 +1976,74 @@ export default class extends Controller {
           ) {
             // Reload the page if the room was already completed.
             window.location.reload(true);
+          } else if (this.state.reconnecting) {
+            this.store.setConnecting(false);
+            this.rejoin(error);
           } else {
-            this.connecting = false;
+            this.store.setConnecting(false);
             this.error = error;
-            this.updateUI();
           }
         }
       );
   }
 
+  // Tries to join the room again after the connection was lost for good, with exponential backoff. The error is only shown once all attempts failed.
+  rejoin(error) {
+    if (
+      this.rejoinAttempts >= MAX_REJOIN_ATTEMPTS ||
+      error.code === PARTICIPANT_DUPLICATE_IDENTITY_ERROR
+    ) {
+      this.cancelRejoin();
+      this.broadcastStatus("disconnected");
+      this.error = error;
+      return;
+    }
+
+    const delay = REJOIN_DELAY * 2 ** this.rejoinAttempts;
+    this.rejoinAttempts += 1;
+    this.store.setReconnecting(true);
+    this.broadcastStatus("reconnecting");
+
+    this.rejoinTimeout = setTimeout(() => this.connectChat(), delay);
+  }
+
+  cancelRejoin() {
+    clearTimeout(this.rejoinTimeout);
+    this.rejoinAttempts = 0;
+    this.rejoinLayout = null;
+    this.store.setReconnecting(false);
+  }
+
+  startStats(room) {
+    this.statsCollector = new StatsCollector(room);
+    this.statsCollector.start();
+    this.statsReportInterval = setInterval(
+      this.reportStats.bind(this),
+      STATS_REPORT_INTERVAL
+    );
+  }
+
+  stopStats() {
+    if (!this.statsCollector) return;
+
+    clearInterval(this.statsReportInterval);
+    this.statsCollector.stop();
+    this.reportStats();
+    this.statsCollector = null;
+  }
+
+  reportStats() {
+    const stats = this.statsCollector?.takeSummary();
+    if (!stats) return;
+
+    $.rails.ajax({
+      url: `${this.data.get("url")}/stats`,
+      method: "POST",
+      contentType: "application/json",
+      data: JSON.stringify({ ptoken: this.data.get("token"), stats }),
+    });
+  }
+
   broadcastStatus(status) {
     this.channel.perform("update_status", { status });
   }
@@ -452,217 +2056,648 @@ export default class extends Controller {
   updateRecordingButton() {
     if (!this.hasRecordingButtonTarget) return;
 
-    this.recordingButtonTarget.disabled = !this.isConnected();
+    this.recordingButtonTarget.disabled =
+      !this.isConnected() || this.state.recordingRequested;
+    this.recordingButtonTarget.classList.toggle(
+      "is-recording",
+      this.state.recording
+    );
   }
 
+  // Only toggles the state classes that changed since the last update.
   updateStateClasses() {
-    this.windowTarget.classList.remove(
-      "videochat-connected",
-      "videochat-disconnected",
-      "videochat-muted",
-      "videochat-unmuted",
-      "videochat-paused",
-      "videochat-unpaused",
-      "videochat-recording",
-      "videochat-connecting",
-      "videochat-erroring",
-      "videochat-shared",
-      "videochat-dominant",
-      "videochat-bad-signal",
-      "videochat-participants-0",
-      "videochat-participants-1",
-      "videochat-participants-2",
-      "videochat-participants-3",
-      "videochat-participants-4",
-      "videochat-participants-5",
-      "videochat-participants-6",
-      "videochat-participants-7",
-      "videochat-participants-8",
-      "videochat-participants-9"
-    );
-
+    const { state } = this;
     const stateClasses = [];
     stateClasses.push(
-      this.isConnected() ? "videochat-connected" : "videochat-disconnected"
+      state.connected ? "videochat-connected" : "videochat-disconnected"
     );
-    stateClasses.push(this.muted ? "videochat-muted" : "videochat-unmuted");
-    stateClasses.push(this.paused ? "videochat-paused" : "videochat-unpaused");
+    stateClasses.push(state.muted ? "videochat-muted" : "videochat-unmuted");
+    stateClasses.push(state.paused ? "videochat-paused" : "videochat-unpaused");
     stateClasses.push(
-      this.mainIdentity ? "videochat-dominant" : "videochat-shared"
+      state.mainIdentity ? "videochat-dominant" : "videochat-shared"
     );
-    if (this.recording) stateClasses.push("videochat-recording");
-    if (this.connecting) stateClasses.push("videochat-connecting");
-    if (this.errorMessage) stateClasses.push("videochat-erroring");
-    if (this.badSignal && !this.hideBadSignalWarning)
+    if (this.store.isRecorded()) stateClasses.push("videochat-recording");
+    if (state.localRecording) stateClasses.push("videochat-local-recording");
+    if (state.noiseGate) stateClasses.push("videochat-noise-gate");
+    if (state.pushToTalk) stateClasses.push("videochat-push-to-talk");
+    if (this.store.isHandRaised(this.data.get("local-identity"))) {
+      stateClasses.push("videochat-hand-raised");
+    }
+    if (state.backgroundEffect) {
+      stateClasses.push(`videochat-background-${state.backgroundEffect}`);
+    }
+    if (state.connecting) stateClasses.push("videochat-connecting");
+    if (state.reconnecting) stateClasses.push("videochat-reconnecting");
+    if (state.errorMessage) stateClasses.push("videochat-erroring");
+    if (state.badSignal && !state.hideBadSignalWarning)
       stateClasses.push("videochat-bad-signal");
+    if (state.screenSharing) stateClasses.push("videochat-screen-sharing");
+    if (state.chatOpen) stateClasses.push("videochat-chat-open");
+    if (state.locked) stateClasses.push("videochat-locked");
+    if (state.followSpeaker) stateClasses.push("videochat-follow-speaker");
+    if (state.noAudio) stateClasses.push("videochat-no-audio");
+    if (state.audioOnly) stateClasses.push("videochat-audio-only");
+    if (state.videoRestoreOffered) {
+      stateClasses.push("videochat-video-restore-offered");
+    }
+    if (state.preflightRunning)
+      stateClasses.push("videochat-preflight-running");
+    if (state.preflightStatus) {
+      stateClasses.push(`videochat-preflight-${state.preflightStatus}`);
+    }
+    if (state.waiting) stateClasses.push("videochat-waiting");
+    if (state.denied) stateClasses.push("videochat-denied");
+    // Moderators can be appointed and dismissed during the call.
+    if (this.store.isModerator()) stateClasses.push("videochat-moderator");
+    if (this.store.isModerator() && this.store.hasPendingParticipants()) {
+      stateClasses.push("videochat-lobby-occupied");
+    }
 
     stateClasses.push(
-      `videochat-participants-${this.selectedIdentities.length}`
+      `videochat-participants-${this.store.visibleTileCount()}`
     );
+    if (this.store.galleryPageCount() > 1) {
+      stateClasses.push("videochat-gallery-paginated");
+      if (this.store.currentGalleryPage() === 0) {
+        stateClasses.push("videochat-gallery-first-page");
+      }
+      if (
+        this.store.currentGalleryPage() ===
+        this.store.galleryPageCount() - 1
+      ) {
+        stateClasses.push("videochat-gallery-last-page");
+      }
+    }
 
-    this.windowTarget.classList.add(...stateClasses);
-  }
-
-  findParticipant(identity) {
-    return this.participants.find(
-      (participant) => participant.identity === identity
+    const previousClasses = this.stateClasses || [];
+    this.windowTarget.classList.remove(
+      ..._.difference(previousClasses, stateClasses)
     );
+    this.windowTarget.classList.add(
+      ..._.difference(stateClasses, previousClasses)
+    );
+    this.stateClasses = stateClasses;
   }
 
+  // Screen shares are listed under the participant who is sharing.
   getParticipantTarget(participant) {
+    const identity = participant.ownerIdentity || participant.identity;
     return this.participantTargets.find(
-      (target) => target.dataset.identity === participant.identity
+      (target) => target.dataset.identity === identity
     );
   }
 
   updateParticipantTrackPriority(participant) {
-    if (this.isLocalParticipant(participant)) return;
-    if (!this.isParticipantConnected(participant)) return;
-    if (!participant.remoteParticipant) return;
+    if (this.store.isLocalParticipant(participant)) return;
+    if (!this.store.isParticipantConnected(participant)) return;
+
+    const remoteParticipant = this.remoteParticipants.get(participant.identity);
+    if (!remoteParticipant) return;
 
-    const priority = this.getPriorityFor(participant);
-    participant.remoteParticipant.videoTracks.forEach((publication) => {
+    const priority = this.store.getPriorityFor(participant.identity);
+    remoteParticipant.videoTracks.forEach((publication) => {
       if (publication.isSubscribed) publication.track.setPriority(priority);
     });
   }
 
-  getPriorityFor(participant) {
-    if (this.mainIdentity === participant.identity) {
-      return "high";
-    }
-    if (this.isSelectedParticipant(participant)) {
-      return this.selectedIdentities.length === 1 ? "high" : "standard";
-    }
-    return "low";
+  // Switches off video that is not visible, and requests visible video in the size it is rendered in.
+  videoVisibilityChanged(element, { visible, width, height }) {
+    this.remoteVideoTracksFor(element.dataset.identity).forEach((track) => {
+      // Audio-only mode keeps camera video switched off, but still shows screen shares.
+      if (
+        visible &&
+        !this.hiddenGalleryIdentities.has(element.dataset.identity) &&
+        !(this.state.audioOnly && track.name !== SCREEN_TRACK_NAME)
+      ) {
+        track.switchOn();
+        track.setContentPreferences({ renderDimensions: { width, height } });
+      } else {
+        track.switchOff();
+      }
+    });
+  }
+
+  // Screen shares are published as a track of the participant who is sharing.
+  remoteVideoTracksFor(identity) {
+    const screenShare = this.store.findScreenShare(identity);
+    const remoteParticipant = this.remoteParticipants.get(
+      screenShare ? screenShare.ownerIdentity : identity
+    );
+    const tracks = [];
+    remoteParticipant?.videoTracks.forEach((publication) => {
+      if (
+        publication.isSubscribed &&
+        (publication.track.name === SCREEN_TRACK_NAME) === !!screenShare
+      ) {
+        tracks.push(publication.track);
+      }
+    });
+    return tracks;
   }
 
   renderParticipants() {
-    this.participants.forEach((participant) => {
+    this.state.participants.forEach((participant) => {
       this.updateParticipantTrackPriority(participant);
-      this.renderParticipant(participant);
+      this.renderParticipant(
+        participant,
+        this.videoContainers.get(participant.identity)
+      );
+    });
+    this.state.screenShares.forEach((screenShare) => {
+      this.renderParticipant(
+        screenShare,
+        this.screenShareContainers.get(screenShare.identity)
+      );
+    });
+    this.renderGalleryGrid();
+    this.updateGalleryPageLabel();
+    this.updateHiddenGalleryVideo();
+  }
+
+  // Tiles on hidden gallery pages are still visible in the participant list, so their video is switched off explicitly. Without manual track switch-off, Twilio switches off video once it is detached.
+  updateHiddenGalleryVideo() {
+    const visibleIdentities = this.store.visibleGalleryIdentities();
+    const hiddenIdentities = new Set(
+      this.store
+        .galleryIdentities()
+        .filter((identity) => !visibleIdentities.includes(identity))
+    );
+    _.xor([...this.hiddenGalleryIdentities], [...hiddenIdentities]).forEach(
+      (identity) =>
+        this.toggleGalleryVideo(identity, !hiddenIdentities.has(identity))
+    );
+    this.hiddenGalleryIdentities = hiddenIdentities;
+  }
+
+  toggleGalleryVideo(identity, visible) {
+    const div =
+      this.videoContainers.get(identity) ||
+      this.screenShareContainers.get(identity);
+    if (!div || identity === this.data.get("local-identity")) return;
+
+    this.remoteVideoTracksFor(identity).forEach((track) => {
+      // Camera video stays detached in audio-only mode.
+      if (this.state.audioOnly && track.name !== SCREEN_TRACK_NAME) return;
+
+      if (visible) {
+        div
+          .querySelector(".videochat-video-container--inner")
+          .appendChild(track.attach());
+      } else {
+        track.detach().forEach((element) => element.remove());
+        if (this.manualTrackSwitchOff) track.switchOff();
+      }
+    });
+    if (visible) this.visibilityTracker?.report(div);
+  }
+
+  // Sizes the grid of the auxiliary target for the tiles on the current gallery page.
+  renderGalleryGrid() {
+    if (!this.hasAuxiliaryTarget || !this.store) return;
+
+    const { columns, rows } = galleryGrid(
+      this.store.visibleGalleryIdentities().length,
+      this.auxiliaryTarget.clientWidth,
+      this.auxiliaryTarget.clientHeight,
+      VIDEO_CONSTRAINTS.width / VIDEO_CONSTRAINTS.height
+    );
+    this.auxiliaryTarget.style.setProperty(
+      "--videochat-gallery-columns",
+      columns
+    );
+    this.auxiliaryTarget.style.setProperty("--videochat-gallery-rows", rows);
+  }
+
+  updateGalleryPageLabel() {
+    if (!this.hasGalleryPageLabelTarget) return;
+
+    this.galleryPageLabelTarget.textContent = I18n.t("videochat_gallery_page", {
+      page: this.store.currentGalleryPage() + 1,
+      count: this.store.galleryPageCount(),
     });
   }
 
-  renderParticipant(participant) {
-    if (!this.isParticipantConnected(participant)) return;
+  nextGalleryPage(event) {
+    event?.preventDefault();
+
+    this.store.nextGalleryPage();
+  }
+
+  previousGalleryPage(event) {
+    event?.preventDefault();
+
+    this.store.previousGalleryPage();
+  }
 
-    const element = participant.div;
+  renderParticipant(participant, element) {
+    if (!this.store.isParticipantConnected(participant)) return;
     if (!element) return;
 
-    if (this.mainIdentity === participant.identity) {
+    const { mainIdentity, selectedIdentities } = this.state;
+    if (mainIdentity === participant.identity) {
       if (!this.mainTarget.contains(element)) {
         this.mainTarget.appendChild(element);
       }
-    } else if (this.selectedIdentities.includes(participant.identity)) {
+    } else if (
+      selectedIdentities.includes(participant.identity) &&
+      !this.store.isOnHiddenGalleryPage(participant.identity)
+    ) {
       if (!this.auxiliaryTarget.contains(element)) {
         this.auxiliaryTarget.appendChild(element);
       }
       // Set order attribute to render participants in order they were selected.
-      element.style.order = this.selectedIdentities.indexOf(
-        participant.identity
-      );
+      element.style.order = selectedIdentities.indexOf(participant.identity);
     } else {
+      // Tiles on hidden gallery pages are kept in the participant list like unselected participants, without video, see updateHiddenGalleryVideo().
       const participantTarget = this.getParticipantTarget(participant);
       participantTarget?.appendChild(element);
     }
   }
 
-  participantConnected(remoteParticipant) {
-    const participant = this.findParticipant(remoteParticipant.identity);
-
+  createVideoContainer(identity, type, name) {
     const div = document.createElement("div");
     const innerDiv = document.createElement("div");
-    div.className = `videochat-video-container videochat-video-container-${participant.participant_type}`;
-    div.dataset.identity = remoteParticipant.identity;
+    div.className = `videochat-video-container videochat-video-container-${type}`;
+    div.dataset.identity = identity;
     innerDiv.className = "videochat-video-container--inner";
 
     const nameSpan = document.createElement("span");
     const shadowDiv = document.createElement("div");
     shadowDiv.className = "videochat-video-container--shadow";
-    nameSpan.textContent = participant.familiar_name;
+    nameSpan.textContent = name;
     div.appendChild(innerDiv);
     innerDiv.appendChild(nameSpan);
     innerDiv.appendChild(shadowDiv);
 
+    return div;
+  }
+
+  participantConnected(remoteParticipant) {
+    const { identity } = remoteParticipant;
+    const participant = this.store.findParticipant(identity);
+
+    const div = this.createVideoContainer(
+      identity,
+      participant.participant_type,
+      participant.familiar_name
+    );
+    const innerDiv = div.querySelector(".videochat-video-container--inner");
+
+    const attachTrack = (track) => {
+      if (track.name === SCREEN_TRACK_NAME) {
+        this.screenShareStarted(participant, track);
+      } else {
+        if (
+          track.kind === "video" &&
+          (this.state.audioOnly || this.hiddenGalleryIdentities.has(identity))
+        ) {
+          if (this.manualTrackSwitchOff) track.switchOff();
+          return;
+        }
+        const element = track.attach();
+        if (track.kind === "audio") {
+          this.applySpeaker(element);
+          this.localRecorder?.addAudioTrack(track.mediaStreamTrack);
+        }
+        innerDiv.appendChild(element);
+        if (track.kind === "video") this.visibilityTracker?.report(div);
+      }
+    };
+
     if (remoteParticipant.on) {
-      remoteParticipant.on("trackSubscribed", (track) =>
-        innerDiv.appendChild(track.attach())
-      );
-      remoteParticipant.on("trackUnsubscribed", (track) =>
-        track.detach().forEach((element) => element.remove())
-      );
+      remoteParticipant.on("trackSubscribed", attachTrack);
+      remoteParticipant.on("trackUnsubscribed", (track) => {
+        track.detach().forEach((element) => element.remove());
+        if (track.name === SCREEN_TRACK_NAME) {
+          this.screenShareStopped(participant);
+        }
+      });
+      remoteParticipant.on("reconnecting", () => {
+        this.store.setParticipantReconnecting(identity, true);
+      });
+      remoteParticipant.on("reconnected", () => {
+        this.store.setParticipantReconnecting(identity, false);
+      });
       remoteParticipant.on(
         "networkQualityLevelChanged",
         (networkQualityLevel) => {
-          participant.networkQualityLevel = networkQualityLevel;
-          this.updateParticipantTarget(participant);
+          this.store.setNetworkQualityLevel(identity, networkQualityLevel);
         }
       );
     }
 
     remoteParticipant.tracks.forEach((publication) => {
       if (publication.isSubscribed) {
-        innerDiv.appendChild(publication.track.attach());
+        attachTrack(publication.track);
       }
     });
 
-    participant.div = div;
-    participant.state = "connected";
-    participant.networkQualityLevel = remoteParticipant.networkQualityLevel;
-    participant.remoteParticipant = remoteParticipant;
-
-    if (this.isLocalParticipant(remoteParticipant)) {
+    this.videoContainers.set(identity, div);
+    this.remoteParticipants.set(identity, remoteParticipant);
+    if (this.store.isLocalParticipant(participant)) {
       div.classList.add("is-local");
-    } else if (this.data.get("autoselect") === "true") {
-      // In case of one-on-one videochats, we automatically select the other participant.
-      this.selectParticipant(participant);
-      this.updateStateClasses();
+    } else {
+      this.visibilityTracker?.observe(div);
     }
 
+    this.store.participantConnected(
+      identity,
+      remoteParticipant.networkQualityLevel
+    );
+    // Participants joining later are shown as in the preferred layout as well. They are only pinned if nothing else is, e.g. a screen share.
+    const layout = this.preferences.get("layout");
+    if (this.isConnected() && layout?.selectedIdentities.includes(identity)) {
+      this.store.restoreLayout({
+        selectedIdentities: [identity],
+        mainIdentity:
+          layout.mainIdentity === identity && !this.state.mainPinned
+            ? identity
+            : null,
+        mainPinned: layout.mainPinned,
+      });
+    }
+    // The container is new, so it has to be placed even if no layout slice changed.
     this.renderParticipants();
-    this.updateParticipantTarget(participant);
   }
 
   participantDisconnected(participantData) {
-    const participant = this.findParticipant(participantData.identity);
-    participant.div.remove();
-    participant.state = "disconnected";
-    participant.remoteParticipant = undefined;
-    this.deselectParticipant(participant);
-    this.updateStateClasses();
-    this.renderParticipant(participant);
-    this.updateParticipantTarget(participant);
+    const { identity } = participantData;
+    this.screenShareStopped(participantData);
+    if (this.videoContainers.has(identity)) {
+      this.visibilityTracker?.unobserve(this.videoContainers.get(identity));
+    }
+    this.videoContainers.get(identity)?.remove();
+    this.videoContainers.delete(identity);
+    this.remoteParticipants.delete(identity);
+    this.store.participantDisconnected(identity);
+  }
+
+  // Remote screen shares get their own video container, which can be selected and shown as main view like a participant.
+  screenShareStarted(participant, track) {
+    const identity = this.store.addScreenShare(participant.identity);
+    const div = this.createVideoContainer(
+      identity,
+      "screen",
+      I18n.t("videochat_screen_share_of", { name: participant.familiar_name })
+    );
+    div
+      .querySelector(".videochat-video-container--inner")
+      .appendChild(track.attach());
+
+    this.screenShareContainers.set(identity, div);
+    this.visibilityTracker?.observe(div);
+    this.renderParticipants();
+  }
+
+  screenShareStopped(participant) {
+    const screenShare = this.state.screenShares.find(
+      (share) => share.ownerIdentity === participant.identity
+    );
+    if (!screenShare) return;
+
+    const div = this.screenShareContainers.get(screenShare.identity);
+    this.visibilityTracker?.unobserve(div);
+    div.remove();
+    this.screenShareContainers.delete(screenShare.identity);
+    this.store.removeScreenShare(participant.identity);
+  }
+
+  async startScreenShare() {
+    if (!this.isConnected() || this.screenTrack) return;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+    } catch (err) {
+      // The user cancelled the screen selection dialog.
+      if (err.name === "NotAllowedError") return;
+
+      this.handleMediaError(err);
+      return;
+    }
+
+    const [screenTrack] = stream.getVideoTracks();
+    this.screenTrack = screenTrack;
+    // Emitted when sharing is stopped through the browser's native UI.
+    screenTrack.addEventListener("ended", () => this.stopScreenShare());
+
+    try {
+      await this.room.localParticipant.publishTrack(screenTrack, {
+        name: SCREEN_TRACK_NAME,
+        priority: "high",
+      });
+    } catch (err) {
+      // Reset, so sharing can be started again.
+      if (this.screenTrack === screenTrack) this.screenTrack = null;
+      screenTrack.stop();
+      this.handleMediaError(err);
+      return;
+    }
+    this.channel.perform("start_screen_share");
+    this.store.setScreenSharing(true);
+  }
+
+  stopScreenShare() {
+    if (!this.screenTrack) return;
+
+    const { screenTrack } = this;
+    this.screenTrack = null;
+    screenTrack.stop();
+
+    if (this.isConnected()) {
+      this.room.localParticipant.unpublishTrack(screenTrack);
+      this.channel.perform("stop_screen_share");
+    }
+    this.store.setScreenSharing(false);
+  }
+
+  dominantSpeakerChanged(remoteParticipant) {
+    this.store.setDominantSpeaker(remoteParticipant?.identity || null);
+
+    if (this.state.dominantSpeakerIdentity) this.followDominantSpeaker();
+  }
+
+  toggleFollowSpeaker(event) {
+    event?.preventDefault();
+
+    if (this.state.followSpeaker) this.followDominantSpeaker.cancel();
+    this.store.toggleFollowSpeaker();
+    this.preferences.set("followSpeaker", this.state.followSpeaker);
   }
 
   localNetworkQualityLevelChanged(networkQualityLevel) {
-    const localParticipant = this.findParticipant(
-      this.data.get("local-identity")
+    this.store.setNetworkQualityLevel(
+      this.data.get("local-identity"),
+      networkQualityLevel
     );
-    localParticipant.networkQualityLevel = networkQualityLevel;
-    this.updateParticipantTarget(localParticipant);
 
     this.toggleBadSignalWarning(networkQualityLevel);
+    this.updateVideoRestoreOffer(networkQualityLevel);
+  }
+
+  updateVideoRestoreOffer(networkQualityLevel) {
+    if (!this.state.audioOnly) return;
+
+    if (networkQualityLevel < GOOD_SIGNAL_THRESHOLD) {
+      clearTimeout(this.videoRestoreTimeout);
+      this.videoRestoreTimeout = null;
+    } else if (!this.videoRestoreTimeout) {
+      this.videoRestoreTimeout = setTimeout(() => {
+        this.videoRestoreTimeout = null;
+        this.store.offerVideoRestore();
+      }, VIDEO_RESTORE_DELAY);
+    }
   }
 
   toggleBadSignalWarning(networkQualityLevel) {
     const newBadSignal = networkQualityLevel < BAD_SIGNAL_THRESHOLD;
 
     // Add delay for setting badSignal to false, so message stays long enough for users to be able to read it.
-    const delay = this.badSignal && !newBadSignal ? 5000 : 0;
-    _.delay(() => {
-      this.badSignal = newBadSignal;
-      this.updateStateClasses();
-    }, delay);
+    const delay = this.state.badSignal && !newBadSignal ? 5000 : 0;
+    _.delay(() => this.store.setBadSignal(newBadSignal), delay);
   }
 
   dismissBadSignal() {
-    this.hideBadSignalWarning = true;
-    this.updateStateClasses();
+    this.store.dismissBadSignal();
+    this.preferences.set(
+      "dismissedWarnings",
+      _.union(this.preferences.get("dismissedWarnings"), ["bad-signal"])
+    );
+  }
+
+  // Inputs for preferences that only apply when joining, e.g. `<input type="checkbox" data-preference="joinMuted" data-action="videochat#setPreference">`.
+  setPreference(event) {
+    const input = event.currentTarget;
+    this.preferences.set(
+      input.dataset.preference,
+      input.type === "checkbox" ? input.checked : input.value
+    );
+  }
+
+  renderPreferenceInputs() {
+    this.preferenceTargets.forEach((input) => {
+      const value = this.preferences.get(input.dataset.preference);
+      if (input.type === "checkbox") {
+        // eslint-disable-next-line no-param-reassign
+        input.checked = !!value;
+      } else {
+        // eslint-disable-next-line no-param-reassign
+        input.value = value ?? "";
+      }
+    });
+  }
+
+  // Forgets all preferences. The current devices and layout are kept until the next page load.
+  resetPreferences(event) {
+    event?.preventDefault();
+
+    this.preferences.reset();
+    this.renderPreferenceInputs();
+    this.showNotice(I18n.t("videochat_notice_preferences_reset"));
+  }
+
+  // Accepts the audio-only mode offered by the bad signal warning.
+  acceptAudioOnly(event) {
+    event?.preventDefault();
+
+    this.store.dismissBadSignal();
+    this.enableAudioOnly();
+  }
+
+  toggleAudioOnly(event) {
+    event?.preventDefault();
+
+    if (this.state.audioOnly) {
+      this.disableAudioOnly();
+    } else {
+      this.enableAudioOnly();
+    }
+  }
+
+  // Unlike pause, audio-only mode stops the camera completely and stops receiving remote video, while the video containers stay in place.
+  enableAudioOnly(event) {
+    event?.preventDefault();
+    if (this.state.audioOnly) return;
+
+    const videoTrack = this.getLocalTrack("video");
+    if (videoTrack) {
+      this.cameraDeviceId = this.getDeviceId(videoTrack);
+      this.removeLocalTrack(videoTrack);
+    }
+
+    this.remoteCameraTracks().forEach((track) => {
+      track.detach().forEach((element) => element.remove());
+      if (this.manualTrackSwitchOff) track.switchOff();
+    });
+
+    this.store.setAudioOnly(true);
+    this.channel.perform("enable_audio_only");
+  }
+
+  async disableAudioOnly(event) {
+    event?.preventDefault();
+    if (!this.state.audioOnly) return;
+
+    clearTimeout(this.videoRestoreTimeout);
+    this.videoRestoreTimeout = null;
+    this.store.setAudioOnly(false);
+    this.channel.perform("disable_audio_only");
+
+    this.remoteParticipants.forEach((remoteParticipant, identity) => {
+      if (identity === this.data.get("local-identity")) return;
+      if (this.hiddenGalleryIdentities.has(identity)) return;
+
+      const div = this.videoContainers.get(identity);
+      this.remoteVideoTracksFor(identity).forEach((track) => {
+        div
+          .querySelector(".videochat-video-container--inner")
+          .appendChild(track.attach());
+        if (this.manualTrackSwitchOff) track.switchOn();
+      });
+      this.visibilityTracker?.report(div);
+    });
+
+    try {
+      const [videoTrack] = await this.provider.createLocalTracks({
+        audio: false,
+        video: this.cameraDeviceId
+          ? { ...VIDEO_CONSTRAINTS, deviceId: this.cameraDeviceId }
+          : VIDEO_CONSTRAINTS,
+      });
+      this.replaceLocalTrack(null, videoTrack);
+    } catch (err) {
+      this.handleMediaError(err);
+    }
+  }
+
+  dismissVideoRestore(event) {
+    event?.preventDefault();
+
+    this.store.dismissVideoRestore();
+  }
+
+  remoteCameraTracks() {
+    const tracks = [];
+    this.remoteParticipants.forEach((remoteParticipant, identity) => {
+      if (identity === this.data.get("local-identity")) return;
+
+      tracks.push(...this.remoteVideoTracksFor(identity));
+    });
+    return tracks;
   }
 
   disconnectChat(event) {
     event?.preventDefault();
 
+    // Leaving while waiting to rejoin only has to stop the next attempt.
+    if (!this.isConnected()) {
+      if (this.state.reconnecting) {
+        this.cancelRejoin();
+        this.broadcastStatus("disconnected");
+      }
+      return;
+    }
+
     const { room } = this;
     this.room = null;
     room.disconnect();
@@ -675,47 +2710,60 @@ export default class extends Controller {
   }
 
   cleanup(room) {
-    room.participants.forEach(this.participantDisconnected.bind(this));
-    this.reset();
-    this.updateUI();
-    // Rerender to move local participant to correct place.
-    this.renderParticipants();
+    clearTimeout(this.recordingRequestTimeout);
+    this.followDominantSpeaker.cancel();
+    this.stopScreenShare();
+    this.stopLocalRecording();
+    this.visibilityTracker?.stop();
+    this.visibilityTracker = null;
+    this.store.batch(() => {
+      room.participants.forEach(this.participantDisconnected.bind(this));
+      this.reset();
+    });
+    this.startAudioCheck();
   }
 
+  // Mute and pause act on the local tracks, so they can already be used in the preview to join with microphone or camera turned off.
   mute() {
-    this.muted = true;
-    this.room.localParticipant.audioTracks.forEach((audioTrack) => {
-      audioTrack.track.disable();
-    });
-    this.channel.perform("mute");
-    this.updateStateClasses();
+    this.changeMediaState("mute");
   }
 
   unmute() {
-    this.muted = false;
-    this.room.localParticipant.audioTracks.forEach((audioTrack) => {
-      audioTrack.track.enable();
-    });
-    this.channel.perform("unmute");
-    this.updateStateClasses();
+    this.changeMediaState("unmute");
   }
 
   pause() {
-    this.paused = true;
-    this.room.localParticipant.videoTracks.forEach((videoTrack) => {
-      videoTrack.track.disable();
-    });
-    this.channel.perform("pause");
-    this.updateStateClasses();
+    this.changeMediaState("pause");
   }
 
   unpause() {
-    this.paused = false;
-    this.room.localParticipant.videoTracks.forEach((videoTrack) => {
-      videoTrack.track.enable();
-    });
-    this.channel.perform("unpause");
-    this.updateStateClasses();
+    this.changeMediaState("unpause");
+  }
+
+  mediaState() {
+    return _.pick(this.state, "muted", "paused");
+  }
+
+  // Before joining, only the tracks are changed. The whole state is announced once connected.
+  changeMediaState(action) {
+    const mediaState = this.mediaState();
+    const nextMediaState = mediaStateTransition(mediaState, action);
+    if (nextMediaState === mediaState) return;
+
+    this.store.setMediaState(nextMediaState);
+    this.applyMediaState();
+    if (this.isConnected()) this.channel.perform(action);
+  }
+
+  applyMediaState(tracks = this.localTracks) {
+    applyToTracks(this.mediaState(), tracks);
+    this.applyNoiseGate();
+  }
+
+  broadcastMediaState() {
+    mediaStateActions(this.mediaState()).forEach((action) =>
+      this.channel.perform(action)
+    );
   }
 
   toggleFullscreen() {
@@ -730,60 +2778,30 @@ export default class extends Controller {
     const videoContainer = event.target.closest(".videochat-video-container");
 
     if (videoContainer) {
-      const { identity } = videoContainer.dataset;
-      if (this.mainIdentity === identity) {
-        this.mainIdentity = null;
-      } else {
-        this.mainIdentity = identity;
-      }
-      this.updateStateClasses();
-      this.renderParticipants();
-      this.updateParticipantTargets();
+      this.store.togglePreferred(videoContainer.dataset.identity);
+      this.saveLayout();
     }
   }
 
-  isSelectedParticipant(participant) {
-    return this.selectedIdentities.indexOf(participant.identity) !== -1;
-  }
-
-  selectParticipant(participant) {
-    if (!this.isParticipantConnected(participant)) return;
-    if (this.isSelectedParticipant(participant)) return;
-
-    this.selectedIdentities.push(participant.identity);
-    this.broadcastCurrentlyViewing();
-  }
-
-  deselectParticipant(participant) {
-    if (!this.isSelectedParticipant(participant)) return;
-
-    _.pull(this.selectedIdentities, participant.identity);
-    if (this.mainIdentity === participant.identity) {
-      this.mainIdentity = null;
-    }
-    this.broadcastCurrentlyViewing();
+  // The selection and the pinned main view are kept for the next calls. A followed speaker is not pinned, so it is not kept.
+  saveLayout() {
+    const { selectedIdentities, mainIdentity, mainPinned } =
+      this.store.layout();
+    this.preferences.set("layout", {
+      selectedIdentities,
+      mainIdentity: mainPinned ? mainIdentity : null,
+      mainPinned,
+    });
   }
 
   broadcastCurrentlyViewing() {
     if (!this.isConnected()) return;
 
     this.channel.perform("update_currently_viewing", {
-      currently_viewing: this.selectedIdentities,
+      currently_viewing: this.store.currentlyViewing(),
     });
   }
 
-  // The local participant is always regarded as connected, all other participants only if we are currently connected to the room, and the participant is connected.
-  isParticipantConnected(participant) {
-    return (
-      (this.isConnected() && participant.state === "connected") ||
-      this.isLocalParticipant(participant)
-    );
-  }
-
-  isLocalParticipant(participant) {
-    return participant.identity === this.data.get("local-identity");
-  }
-
   toggleParticipant(event) {
     // Don't toggle for links or buttons or icons
     if (
@@ -797,39 +2815,14 @@ export default class extends Controller {
     event.preventDefault();
 
     const participantEl = event.target.closest(".videochat-participant");
-    const participant = this.findParticipant(participantEl.dataset.identity);
-
-    if (this.isSelectedParticipant(participant)) {
-      this.deselectParticipant(participant);
-    } else {
-      this.selectParticipant(participant);
-    }
-
-    this.updateParticipantTarget(participant);
-    this.updateStateClasses();
-    this.renderParticipants();
+    this.store.toggleParticipant(participantEl.dataset.identity);
+    this.saveLayout();
   }
 
   cycleView(event) {
     event.preventDefault();
 
-    if (this.selectedIdentities.length <= 1) return;
-
-    if (this.mainIdentity) {
-      const nextIndex = this.selectedIdentities.indexOf(this.mainIdentity) + 1;
-
-      if (nextIndex >= this.selectedIdentities.length) {
-        this.mainIdentity = null;
-      } else {
-        this.mainIdentity = this.selectedIdentities[nextIndex];
-      }
-    } else {
-      // eslint-disable-next-line prefer-destructuring
-      this.mainIdentity = this.selectedIdentities[0];
-    }
-
-    this.updateParticipantTargets();
-    this.updateStateClasses();
-    this.renderParticipants();
+    this.store.cycleView();
+    this.saveLayout();
   }
 }